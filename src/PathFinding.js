@@ -2,9 +2,25 @@ module.exports = {
     'Heap'                      : require('heap'),
     'Node'                      : require('./core/Node'),
     'Grid'                      : require('./core/Grid'),
+    'NodeStore'                 : require('./core/NodeStore'),
     'Util'                      : require('./core/Util'),
     'Heuristic'                 : require('./core/Heuristic'),
+    'Material'                  : require('./core/Material'),
+    'Agent'                     : require('./core/Agent'),
+    'Move'                      : require('./core/Move'),
+    'Goal'                      : require('./core/Goal'),
+    'FlowField'                 : require('./core/FlowField'),
+    'PathCurve'                 : require('./core/PathCurve'),
+    'Status'                    : require('./core/Status'),
+    'PathProblem'               : require('./core/PathProblem'),
+    'Budget'                    : require('./core/Budget'),
+    'Search'                    : require('./core/Search'),
+    'ChunkVoxels'               : require('./core/ChunkVoxels'),
+    'PathWorker'                : require('./core/PathWorker'),
+    'PathService'               : require('./core/PathService'),
     'AStarFinder'               : require('./finders/AStarFinder'),
+    'ThetaStarFinder'           : require('./finders/ThetaStarFinder'),
+    'LazyThetaStarFinder'       : require('./finders/LazyThetaStarFinder'),
     'BestFirstFinder'           : require('./finders/BestFirstFinder'),
     'BreadthFirstFinder'        : require('./finders/BreadthFirstFinder'),
     'DijkstraFinder'            : require('./finders/DijkstraFinder'),
@@ -15,5 +31,7 @@ module.exports = {
     'IDAStarFinder'             : require('./finders/IDAStarFinder'),
     'JumpPointFinder'           : require('./finders/JumpPointFinder'),
     'OrthogonalJumpPointFinder' : require('./finders/OrthogonalJumpPointFinder'),
-    'TraceFinder'               : require('./finders/TraceFinder')
+    'TraceFinder'               : require('./finders/TraceFinder'),
+    'HPAStarFinder'             : require('./finders/HPAStarFinder'),
+    'DStarLiteFinder'           : require('./finders/DStarLiteFinder')
 };
@@ -0,0 +1,104 @@
+/**
+ * Describes whatever is moving through the grid.
+ * Finders hand their agent to the grid so that the walkability and
+ * neighbor queries are answered for that particular body.
+ * @constructor
+ * @param {object} [opt]
+ * @param {function} [opt.walkable] - Predicate `function(x, y, z, grid)`
+ *     deciding whether the agent can stand at the given position.
+ *     Defaults to the grid's own rule.
+ * @param {number} [opt.width] - Footprint of the agent, in voxels along
+ *     both x and y (defaults to 1).
+ * @param {number} [opt.height] - Height of the agent, in voxels (defaults to 1).
+ * @param {number} [opt.maxStepHeight] - Highest ledge the agent walks up
+ *     onto (defaults to 1).
+ * @param {number} [opt.maxFallHeight] - Deepest drop the agent survives
+ *     (defaults to 1).
+ * @param {number} [opt.jumpHeight] - Highest ledge the agent jumps up onto,
+ *     0 if it cannot jump (defaults to 0).
+ * @param {object} [opt.costs] - Map of voxel id to movement cost
+ *     multiplier, for the voxel entered or, when that one is not listed,
+ *     the voxel below it (e.g. {4: 0.5, 7: 3} for road and mud).
+ * @param {number} [opt.climbCost] - Extra cost per level risen (defaults to 0).
+ * @param {number} [opt.descendCost] - Extra cost per level dropped
+ *     (defaults to 0).
+ * @param {boolean} [opt.fly] - Whether the agent moves freely through
+ *     every voxel it fits in, in all 26 directions, instead of walking
+ *     (birds, ghosts, fish).
+ */
+function Agent(opt) {
+    opt = opt || {};
+    /**
+     * Walkability predicate of this agent, or null to use the grid's rule.
+     * @type function
+     */
+    this.walkable = opt.walkable || null;
+    /**
+     * Footprint of the agent along x and y. A node's position is the
+     * corner of the footprint with the lowest x and y.
+     * @type number
+     */
+    this.width = opt.width || 1;
+    /**
+     * Number of voxels the agent occupies upwards from its feet.
+     * @type number
+     */
+    this.height = opt.height || 1;
+    /**
+     * Highest rise, in voxels, of a single step up.
+     * @type number
+     */
+    this.maxStepHeight = opt.maxStepHeight === undefined ? 1 : opt.maxStepHeight;
+    /**
+     * Deepest drop, in voxels, of a single move down.
+     * @type number
+     */
+    this.maxFallHeight = opt.maxFallHeight === undefined ? 1 : opt.maxFallHeight;
+    /**
+     * Highest rise, in voxels, of a jump. Rises above `maxStepHeight` and
+     * up to this height are jumps.
+     * @type number
+     */
+    this.jumpHeight = opt.jumpHeight || 0;
+    /**
+     * Movement cost multiplier of each voxel id. Unlisted ids cost 1.
+     * @type object
+     */
+    this.costs = opt.costs || {};
+    /**
+     * Extra cost per level risen.
+     * @type number
+     */
+    this.climbCost = opt.climbCost || 0;
+    /**
+     * Extra cost per level dropped.
+     * @type number
+     */
+    this.descendCost = opt.descendCost || 0;
+    /**
+     * Whether the agent ignores gravity. Its walkability predicate, if
+     * any, then only narrows down the voxels it fits in (e.g. to water).
+     * @type boolean
+     */
+    this.fly = !!opt.fly;
+}
+
+/**
+ * Get the box of node positions whose walkability or moves may depend on
+ * the given voxel: those the voxel is part of the body, support, headroom
+ * or drop of, and those moving to or past them.
+ * @param {number} x - The x coordinate of the voxel.
+ * @param {number} y - The y coordinate of the voxel.
+ * @param {number} z - The z coordinate of the voxel.
+ * @return {Array.<number>} The lowest and highest corners of the box,
+ *     as [x0, y0, z0, x1, y1, z1] (inclusive).
+ */
+Agent.prototype.getAffectedBounds = function(x, y, z) {
+    var rise = Math.max(this.maxStepHeight, this.jumpHeight);
+    return [
+        x - this.width, y - this.width, z - this.height - rise,
+        x + 1, y + 1, z + this.maxFallHeight + 1
+    ];
+};
+
+module.exports = Agent;
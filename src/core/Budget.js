@@ -0,0 +1,268 @@
+var Util      = require('./Util');
+var Goal      = require('./Goal');
+var Status    = require('./Status');
+var Heuristic = require('./Heuristic');
+
+/**
+ * What a single search may spend: the nodes it may expand, the time it may
+ * run for and the cost of the paths it may follow, as given to the finder
+ * by its `maxNodes`, `maxTimeMs` and `maxCost` options.
+ * While any of them is limited, the budget also keeps the node closest to
+ * the goal, so that a search running out of budget can return the path to
+ * that node instead of nothing.
+ *
+ * The budget also keeps the statistics of the search, recorded on the path
+ * as `path.stats`, and tells the finder's `observer`, if any, how the
+ * search goes along. Each of the observer's methods is optional:
+ * - onOpen(node, reopened): the node is put on the open list, or its cost
+ *   lowered while on it or after being closed;
+ * - onClose(node): the node is taken off the open list;
+ * - onExpand(node): the neighbours of the node are about to be looked at;
+ * - onJump(from, to): a jump point finder jumps from one node to another.
+ * Nodes are anything with x, y and z, and only to be looked at.
+ * @constructor
+ * @param {object} finder - The finder searching, holding the limits, the
+ *     heuristic, the agent and the observer.
+ * @param {number|Array|function} x - The x coordinate of the goal, or the
+ *     goals (see PF.Goal).
+ * @param {number} [y] - The y coordinate of the goal.
+ * @param {number} [z] - The z coordinate of the goal.
+ */
+function Budget(finder, x, y, z) {
+    this.maxNodes = finder.maxNodes || Infinity;
+    this.maxTimeMs = finder.maxTimeMs || Infinity;
+    this.maxCost = finder.maxCost === undefined ? Infinity : finder.maxCost;
+    this.agent = finder.agent;
+    /**
+     * The heuristic telling which node is the closest to the goal: the
+     * finder's, or the octile distance for finders searching without one.
+     * @type function
+     */
+    this.heuristic = finder.heuristic && finder.heuristic !== Heuristic.zero ?
+        finder.heuristic : Heuristic.octile;
+    this.observer = finder.observer || null;
+    this.goal = new Goal(x, y, z);
+    /**
+     * Whether any of the limits is set.
+     * @type boolean
+     */
+    this.limited = this.maxNodes < Infinity || this.maxTimeMs < Infinity ||
+        this.maxCost < Infinity;
+    /**
+     * Number of nodes expanded so far.
+     * @type number
+     */
+    this.expanded = 0;
+    /**
+     * Number of nodes put on the open list so far, and of nodes put back on
+     * it or updated on it with a lower cost.
+     * @type number
+     */
+    this.opened = 0;
+    this.reopened = 0;
+    /**
+     * Most nodes on the open list at once.
+     * @type number
+     */
+    this.maxOpen = 0;
+    /**
+     * Whether the search has gone without something for lack of budget.
+     * @type boolean
+     */
+    this.cutOff = false;
+    /**
+     * The node closest to the goal of those expanded, if the budget is
+     * limited.
+     * @type Node
+     */
+    this.closest = null;
+    this.closestDistance = Infinity;
+    this.startTime = Date.now();
+    this.elapsed = 0;
+    /**
+     * Whether the clock is stopped, the time run so far kept in `elapsed`.
+     * @type boolean
+     */
+    this.paused = false;
+}
+
+/**
+ * Stop the clock, while a search is put aside between steps.
+ */
+Budget.prototype.pause = function() {
+    this.elapsed = Date.now() - this.startTime;
+    this.paused = true;
+};
+
+/**
+ * Start the clock again where it was paused.
+ */
+Budget.prototype.resume = function() {
+    this.startTime = Date.now() - this.elapsed;
+    this.paused = false;
+};
+
+/**
+ * Put a node on the open list.
+ * @param {Node} node
+ * @param {number} size - Number of nodes on the open list now.
+ */
+Budget.prototype.open = function(node, size) {
+    this.opened += 1;
+    if (size > this.maxOpen) {
+        this.maxOpen = size;
+    }
+    if (this.observer && this.observer.onOpen) {
+        this.observer.onOpen(node, false);
+    }
+};
+
+/**
+ * Put a node back on the open list, or lower its cost while on it.
+ * @param {Node} node
+ * @param {number} size - Number of nodes on the open list now.
+ */
+Budget.prototype.reopen = function(node, size) {
+    this.reopened += 1;
+    if (size > this.maxOpen) {
+        this.maxOpen = size;
+    }
+    if (this.observer && this.observer.onOpen) {
+        this.observer.onOpen(node, true);
+    }
+};
+
+/**
+ * Take a node off the open list.
+ * @param {Node} node
+ */
+Budget.prototype.close = function(node) {
+    if (this.observer && this.observer.onClose) {
+        this.observer.onClose(node);
+    }
+};
+
+/**
+ * Jump from one node to another (see JumpPointFinder).
+ * @param {Node} from
+ * @param {Node} to
+ */
+Budget.prototype.jump = function(from, to) {
+    if (this.observer && this.observer.onJump) {
+        this.observer.onJump(from, to);
+    }
+};
+
+/**
+ * Expand a node: count it, and keep it if it is the closest to the goal
+ * yet.
+ * @param {Node} node
+ * @return {boolean} Whether the search may go on, and expand the node.
+ */
+Budget.prototype.expand = function(node) {
+    if (this.approaches(node.x, node.y, node.z)) {
+        this.closest = node;
+    }
+    return this.spend(node);
+};
+
+/**
+ * Count one expansion against the node and time limits.
+ * @param {Node} [node] - The node expanded, to tell the observer about.
+ * @return {boolean} Whether the search may go on.
+ */
+Budget.prototype.spend = function(node) {
+    if (this.expanded >= this.maxNodes ||
+        (this.maxTimeMs < Infinity && Date.now() - this.startTime > this.maxTimeMs)) {
+        this.cutOff = true;
+        return false;
+    }
+    this.expanded += 1;
+    if (node && this.observer && this.observer.onExpand) {
+        this.observer.onExpand(node);
+    }
+    return true;
+};
+
+/**
+ * Tell whether the given position is the closest to the goal yet, by the
+ * heuristic of the budget, remembering it if so. Nothing is remembered
+ * while the budget isn't limited.
+ * @return {boolean}
+ */
+Budget.prototype.approaches = function(x, y, z) {
+    var distance;
+    if (!this.limited) {
+        return false;
+    }
+    distance = this.goal.estimate(this.heuristic, x, y, z);
+    if (distance < this.closestDistance) {
+        this.closestDistance = distance;
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Whether a path of the given cost may be followed.
+ * @param {number} cost
+ * @return {boolean}
+ */
+Budget.prototype.allows = function(cost) {
+    if (cost > this.maxCost) {
+        this.cutOff = true;
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Get the statistics of the search so far.
+ * @return {{expanded: number, opened: number, reopened: number,
+ *     maxOpen: number, elapsedMs: number}}
+ */
+Budget.prototype.stats = function() {
+    return {
+        expanded: this.expanded,
+        opened: this.opened,
+        reopened: this.reopened,
+        maxOpen: this.maxOpen,
+        elapsedMs: this.paused ? this.elapsed : Date.now() - this.startTime
+    };
+};
+
+/**
+ * Mark the path to the goal as found, recording the nodes expanded on it
+ * as `path.expanded` and the statistics of the search as `path.stats`.
+ * @param {Array.<[number, number, number]>} path
+ * @return {Array.<[number, number, number]>} The path.
+ */
+Budget.prototype.found = function(path) {
+    path.status = Status.FOUND;
+    path.expanded = this.expanded;
+    path.stats = this.stats();
+    return path;
+};
+
+/**
+ * Give up on the goal: return the path to the closest node expanded if
+ * the search was cut off, or an empty path if the goal is unreachable,
+ * recording the nodes expanded and the statistics as on a path found.
+ * @param {function} [trace] - Builds the path to the closest node
+ *     (defaults to following the parents of the node).
+ * @return {Array.<[number, number, number]>} The path.
+ */
+Budget.prototype.failed = function(trace) {
+    var path;
+    if (this.cutOff && this.closest) {
+        path = trace ? trace(this.closest) : Util.backtrace(this.closest, this.agent);
+    } else {
+        path = [];
+    }
+    path.status = this.cutOff ? Status.CUT_OFF : Status.UNREACHABLE;
+    path.expanded = this.expanded;
+    path.stats = this.stats();
+    return path;
+};
+
+module.exports = Budget;
@@ -0,0 +1,91 @@
+/**
+ * A copy of the voxels a PathService has sent to its worker, held as cubic
+ * chunks of voxel ids. Mirrors the `voxelAtPosition(pos, [val])` of
+ * a voxeljs instance, so that a grid can be built over it.
+ * Voxels of chunks that haven't been sent read as `ChunkVoxels.UNKNOWN`.
+ * @constructor
+ * @param {number} chunkSize - Edge length of the chunks.
+ */
+function ChunkVoxels(chunkSize) {
+    this.chunkSize = chunkSize;
+    /**
+     * Voxel ids of each chunk sent, x fastest then y then z, keyed by the
+     * chunk coordinates as 'x|y|z'.
+     * @type object
+     */
+    this.chunks = {};
+}
+
+/**
+ * Voxel id of the voxels outside of every chunk sent, which the worker's
+ * grid treats as forbidden so that searches stay within the chunks.
+ * @type number
+ */
+ChunkVoxels.UNKNOWN = -1;
+
+/**
+ * Read the voxel ids of a chunk, as they are sent to the worker.
+ * @param {object} voxels - A voxeljs instance exposing `voxelAtPosition`.
+ * @param {number} chunkSize - Edge length of the chunks.
+ * @param {number} cx - The x coordinate of the chunk.
+ * @param {number} cy - The y coordinate of the chunk.
+ * @param {number} cz - The z coordinate of the chunk.
+ * @return {Int32Array}
+ */
+ChunkVoxels.read = function(voxels, chunkSize, cx, cy, cz) {
+    var data = new Int32Array(chunkSize * chunkSize * chunkSize),
+        x0 = cx * chunkSize, y0 = cy * chunkSize, z0 = cz * chunkSize,
+        pos = [0, 0, 0],
+        i = 0, x, y, z;
+    for (z = 0; z < chunkSize; ++z) {
+        for (y = 0; y < chunkSize; ++y) {
+            for (x = 0; x < chunkSize; ++x) {
+                pos[0] = x0 + x;
+                pos[1] = y0 + y;
+                pos[2] = z0 + z;
+                data[i++] = voxels.voxelAtPosition(pos) || 0;
+            }
+        }
+    }
+    return data;
+};
+
+/**
+ * Store the voxel ids of a chunk (see ChunkVoxels.read).
+ * @param {number} cx - The x coordinate of the chunk.
+ * @param {number} cy - The y coordinate of the chunk.
+ * @param {number} cz - The z coordinate of the chunk.
+ * @param {Int32Array} data
+ */
+ChunkVoxels.prototype.setChunk = function(cx, cy, cz, data) {
+    this.chunks[cx + '|' + cy + '|' + cz] = data;
+};
+
+/**
+ * Read, or write when a value is given, the voxel id at a position.
+ * Writes to chunks that haven't been sent are dropped.
+ * @param {[number, number, number]} pos
+ * @param {number} [val]
+ * @return {number}
+ */
+ChunkVoxels.prototype.voxelAtPosition = function(pos, val) {
+    var size = this.chunkSize,
+        floor = Math.floor,
+        cx = floor(pos[0] / size),
+        cy = floor(pos[1] / size),
+        cz = floor(pos[2] / size),
+        data = this.chunks[cx + '|' + cy + '|' + cz],
+        i;
+
+    if (!data) {
+        return val === undefined ? ChunkVoxels.UNKNOWN : val;
+    }
+    i = (pos[0] - cx * size) + size * ((pos[1] - cy * size) + size * (pos[2] - cz * size));
+    if (val !== undefined) {
+        data[i] = val || 0;
+        return val;
+    }
+    return data[i];
+};
+
+module.exports = ChunkVoxels;
@@ -0,0 +1,166 @@
+var Heap  = require('heap');
+var Agent = require('./Agent');
+
+/**
+ * Cost of reaching a target from every voxel around it, so that any number
+ * of agents can head for the same target by following `nextStep`, instead
+ * of each finding a path of its own.
+ * The costs are worked out once, by a Dijkstra search running backwards
+ * from the target (see Grid#getPredecessors) over every voxel within
+ * `radius` of it along each axis.
+ * Usually made by DijkstraFinder#createFlowField or
+ * BreadthFirstFinder#createFlowField.
+ * @constructor
+ * @param {number} x - The x coordinate of the target.
+ * @param {number} y - The y coordinate of the target.
+ * @param {number} z - The z coordinate of the target.
+ * @param {Grid} grid - The grid to search.
+ * @param {object} [opt]
+ * @param {number} opt.radius Farthest distance from the target along any
+ *     axis that costs are worked out for (defaults to 32).
+ * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
+ * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {boolean} opt.countMoves Whether to count moves rather than add up
+ *     their costs, as breadth-first search does.
+ * @param {Agent} opt.agent The agent the costs are for.
+ */
+function FlowField(x, y, z, grid, opt) {
+    opt = opt || {};
+    /**
+     * Position of the target.
+     * @type number
+     */
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.grid = grid;
+    this.radius = opt.radius || 32;
+    this.allowDiagonal = opt.allowDiagonal;
+    this.dontCrossCorners = opt.dontCrossCorners;
+    this.countMoves = !!opt.countMoves;
+    this.agent = opt.agent || new Agent(opt);
+    /**
+     * Nodes of the search, holding the cost to the target of every voxel
+     * reached as `g`, and the next voxel towards it as `parent`.
+     * @type NodeStore
+     */
+    this.nodes = grid.acquireNodes();
+
+    this._compute();
+}
+
+/**
+ * Run the search from the target outwards.
+ * @protected
+ */
+FlowField.prototype._compute = function() {
+    var grid = this.grid,
+        agent = this.agent,
+        nodes = this.nodes,
+        countMoves = this.countMoves,
+        openList = new Heap(function(nodeA, nodeB) {
+            return nodeA.g - nodeB.g;
+        }),
+        target = nodes.get(this.x, this.y, this.z),
+        node, predecessors, predecessor, i, l, ng;
+
+    target.g = 0;
+    openList.push(target);
+    target.opened = true;
+
+    while (!openList.empty()) {
+        node = openList.pop();
+        node.closed = true;
+
+        predecessors = grid.getPredecessors(node, this.allowDiagonal, this.dontCrossCorners, agent, nodes);
+        for (i = 0, l = predecessors.length; i < l; ++i) {
+            predecessor = predecessors[i];
+
+            if (predecessor.closed ||
+                !this._covers(predecessor.x, predecessor.y, predecessor.z)) {
+                continue;
+            }
+
+            ng = node.g + (countMoves ? 1 : grid.getMoveCost(predecessor, node, agent));
+            if (!predecessor.opened || ng < predecessor.g) {
+                predecessor.g = ng;
+                predecessor.parent = node;
+
+                if (!predecessor.opened) {
+                    openList.push(predecessor);
+                    predecessor.opened = true;
+                } else {
+                    openList.updateItem(predecessor);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Whether the given position is within the radius of the target.
+ * @protected
+ */
+FlowField.prototype._covers = function(x, y, z) {
+    var abs = Math.abs,
+        radius = this.radius;
+    return abs(x - this.x) <= radius && abs(y - this.y) <= radius &&
+        abs(z - this.z) <= radius;
+};
+
+/**
+ * Get the settled node at the given position, if any.
+ * @protected
+ */
+FlowField.prototype._nodeAt = function(x, y, z) {
+    var node;
+    if (!this.nodes || !this._covers(x, y, z)) {
+        return null;
+    }
+    // peeked at, so that positions the field never reached cost nothing
+    node = this.nodes.peek(x, y, z);
+    return node && node.closed ? node : null;
+};
+
+/**
+ * Get the cost of reaching the target from the given position.
+ * @param {number} x - The x coordinate of the position.
+ * @param {number} y - The y coordinate of the position.
+ * @param {number} z - The z coordinate of the position.
+ * @return {number} The cost, or Infinity if the target can't be reached
+ *     from there without leaving the radius.
+ */
+FlowField.prototype.costAt = function(x, y, z) {
+    var node = this._nodeAt(x, y, z);
+    return node ? node.g : Infinity;
+};
+
+/**
+ * Get the position to move to from the given one, on the cheapest way to
+ * the target.
+ * @param {number} x - The x coordinate of the position.
+ * @param {number} y - The y coordinate of the position.
+ * @param {number} z - The z coordinate of the position.
+ * @return {[number, number, number]} The next position, or null at the
+ *     target or where the target can't be reached.
+ */
+FlowField.prototype.nextStep = function(x, y, z) {
+    var node = this._nodeAt(x, y, z);
+    if (!node || !node.parent) {
+        return null;
+    }
+    return [node.parent.x, node.parent.y, node.parent.z];
+};
+
+/**
+ * Hand the nodes holding the costs back to the grid, once the field is no
+ * longer needed. It can't be asked anything after that.
+ */
+FlowField.prototype.release = function() {
+    if (this.nodes) {
+        this.grid.releaseNodes(this.nodes);
+        this.nodes = null;
+    }
+};
+
+module.exports = FlowField;
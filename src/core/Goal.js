@@ -0,0 +1,103 @@
+/**
+ * The positions a search may end at: a single position, any one of a list
+ * of points, or any position a predicate accepts. Finders taking a goal
+ * return the path to whichever of them is cheapest to reach.
+ * @constructor
+ * @param {number|Array|function} x - The x coordinate of the single end
+ *     position, a list of end points ({x, y, z} or [x, y, z]), or a
+ *     predicate `function(x, y, z)` telling whether a position is one.
+ * @param {number} [y] - The y coordinate of the single end position.
+ * @param {number} [z] - The z coordinate of the single end position.
+ */
+function Goal(x, y, z) {
+    var points = [], i, point;
+
+    if (typeof x === 'function') {
+        /**
+         * Tells whether a position is one of the goals, when they are not
+         * listed.
+         * @type function
+         */
+        this.predicate = x;
+    } else if (typeof x === 'object') {
+        for (i = 0; i < x.length; ++i) {
+            point = x[i];
+            points.push(point.length === undefined ? [point.x, point.y, point.z] : point);
+        }
+    } else {
+        points.push([x, y, z]);
+    }
+
+    /**
+     * The goal positions, as [x, y, z], if they are listed.
+     * @type Array.<[number, number, number]>
+     */
+    this.points = points;
+
+    /**
+     * The listed positions, keyed by 'x|y|z'.
+     * @type object
+     */
+    this.keys = {};
+    for (i = 0; i < points.length; ++i) {
+        this.keys[points[i][0] + '|' + points[i][1] + '|' + points[i][2]] = true;
+    }
+}
+
+/**
+ * Whether the given arguments name several goals or a predicate, rather
+ * than a single end point.
+ * @param {*} end - The end argument given to findPath.
+ * @return {boolean}
+ */
+Goal.isSet = function(end) {
+    return typeof end === 'function' ||
+        (end !== null && typeof end === 'object' && typeof end[0] === 'object');
+};
+
+/**
+ * Whether the given position is one of the goals.
+ * @param {number} x - The x coordinate of the position.
+ * @param {number} y - The y coordinate of the position.
+ * @param {number} z - The z coordinate of the position.
+ * @return {boolean}
+ */
+Goal.prototype.contains = function(x, y, z) {
+    if (this.predicate) {
+        return !!this.predicate(x, y, z);
+    }
+    return this.keys[x + '|' + y + '|' + z] === true;
+};
+
+/**
+ * Estimate the cost from the given position to the nearest goal: the
+ * lowest estimate of the heuristic over every listed goal, which never
+ * overestimates as long as the heuristic doesn't. Goals given by a
+ * predicate can't be told apart from afar, so their estimate is 0.
+ * @param {function} heuristic - Heuristic function, taking the distance
+ *     along each axis and the signed rise to the target.
+ * @param {number} x - The x coordinate of the position.
+ * @param {number} y - The y coordinate of the position.
+ * @param {number} z - The z coordinate of the position.
+ * @return {number}
+ */
+Goal.prototype.estimate = function(heuristic, x, y, z) {
+    var points = this.points,
+        abs = Math.abs,
+        best = Infinity,
+        point, h, i;
+
+    if (this.predicate) {
+        return 0;
+    }
+    for (i = 0; i < points.length && best > 0; ++i) {
+        point = points[i];
+        h = heuristic(abs(x - point[0]), abs(y - point[1]), abs(z - point[2]), point[2] - z);
+        if (h < best) {
+            best = h;
+        }
+    }
+    return best;
+};
+
+module.exports = Goal;
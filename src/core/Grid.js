@@ -1,35 +1,291 @@
-var Node = require('./Node');
+var Heap = require('heap');
+var Material = require('./Material');
+var NodeStore = require('./NodeStore');
+
+/**
+ * Orthogonal offsets, clockwise from ↑. See Grid#getNeighbors.
+ */
+var offsets = [[0, -1], [1, 0], [0, 1], [-1, 0]];
 
 /**
  * The Grid class, which serves as the encapsulation of the layout of the nodes.
  * @constructor
- * @param {number} width Number of columns of the grid.
- * @param {number} height Number of rows of the grid.
- * @param {Array.<Array.<(number|boolean)>>} [matrix] - A 0-1 matrix
- *     representing the walkable status of the nodes(0 or false for walkable).
- *     If the matrix is not supplied, all the nodes will be walkable.  */
-function Grid(voxels) {
+ * @param {object} voxels - A voxeljs instance exposing `voxelAtPosition`.
+ * @param {object} [opt]
+ * @param {object} [opt.materials] - Map of voxel id to material class
+ *     (see PF.Material). Id 0 is passable, unlisted ids are solid.
+ * @param {function} [opt.walkable] - Walkability predicate
+ *     `function(x, y, z, grid)` used for agents without one of their own.
+ * @param {number} [opt.chunkSize] - Edge length of the chunks of the
+ *     voxels, which HPA* clusters by (defaults to the chunk size of the
+ *     voxels, or 32).
+ */
+function Grid(voxels, opt) {
+    opt = opt || {};
     /**
      * A voxeljs instance of voxels.
      */
     this.nodes = voxels;
+    /**
+     * Material class of each voxel id.
+     * @type object
+     */
+    this.materials = {0: Material.PASSABLE};
+    /**
+     * Walkability predicate shared by all agents, or null for the
+     * material based rule.
+     * @type function
+     */
+    this.walkable = opt.walkable || null;
+    /**
+     * Edge length of the chunks of the voxels.
+     * @type number
+     */
+    this.chunkSize = opt.chunkSize || voxels.chunkSize || 32;
+    /**
+     * The nodes handed out outside of any search, forgotten whenever a
+     * search starts, so that they don't pile up.
+     * @type NodeStore
+     */
+    this.nodeStore = new NodeStore();
+    /**
+     * Node stores released by finished searches, ready to be acquired again.
+     * @type Array.<NodeStore>
+     */
+    this.freeNodeStores = [];
+
+    var id, materials = opt.materials || {};
+    for (id in materials) {
+        if (materials.hasOwnProperty(id)) {
+            this.setMaterial(id, materials[id]);
+        }
+    }
 }
 
-Grid.prototype.getNodeAt = function(x, y, z) {
-    return Node(x, y, z, this.nodes.voxelAtPosition([x, y, z] == 0));
+/**
+ * Get the node at the given position. The same node is returned until
+ * its store is cleared, so finders can keep their search state on it.
+ * @param {number} x - The x coordinate of the node.
+ * @param {number} y - The y coordinate of the node.
+ * @param {number} z - The z coordinate of the node.
+ * @param {Agent} [agent] - The agent asking.
+ * @param {NodeStore} [nodes] - The search's own nodes (defaults to nodes
+ *     shared by everything outside of a search, which are only the same
+ *     until a search starts on this grid).
+ * @return {Node}
+ */
+Grid.prototype.getNodeAt = function(x, y, z, agent, nodes) {
+    var node = (nodes || this.nodeStore).get(x, y, z);
+    node.walkable = this.isWalkableAt(x, y, z, agent);
+    return node;
+};
+
+
+/**
+ * Get a store of fresh nodes for a search to keep its state on, apart
+ * from any other search running on this grid. The nodes shared outside of
+ * any search are forgotten.
+ * @return {NodeStore}
+ */
+Grid.prototype.acquireNodes = function() {
+    this.nodeStore.clear();
+    return this.freeNodeStores.pop() || new NodeStore();
+};
+
+
+/**
+ * Hand back the nodes of a finished search, along with the state it kept
+ * on them, to be reused by a later one.
+ * @param {NodeStore} nodes
+ */
+Grid.prototype.releaseNodes = function(nodes) {
+    nodes.clear();
+    this.freeNodeStores.push(nodes);
+};
+
+
+/**
+ * Get the voxel id at the given position.
+ * @param {number} x - The x coordinate of the voxel.
+ * @param {number} y - The y coordinate of the voxel.
+ * @param {number} z - The z coordinate of the voxel.
+ * @return {number} - The voxel id, 0 for empty.
+ */
+Grid.prototype.getVoxelAt = function(x, y, z) {
+    return this.nodes.voxelAtPosition([x, y, z]);
+};
+
+
+/**
+ * Set the material class of a voxel id.
+ * @param {number} id - The voxel id.
+ * @param {string} material - One of the PF.Material classes.
+ */
+Grid.prototype.setMaterial = function(id, material) {
+    this.materials[id] = material;
+};
+
+
+/**
+ * Get the material class of a voxel id.
+ * @param {number} id - The voxel id.
+ * @return {string} - The material class.
+ */
+Grid.prototype.getMaterial = function(id) {
+    return this.materials[id] || (id ? Material.SOLID : Material.PASSABLE);
+};
+
+
+/**
+ * Get the material class of the voxel at the given position.
+ * @param {number} x - The x coordinate of the voxel.
+ * @param {number} y - The y coordinate of the voxel.
+ * @param {number} z - The z coordinate of the voxel.
+ * @return {string} - The material class.
+ */
+Grid.prototype.getMaterialAt = function(x, y, z) {
+    return this.getMaterial(this.getVoxelAt(x, y, z));
+};
+
+
+/**
+ * Determine whether an agent could stand at the given position using the
+ * material rule: the voxel can be occupied and it is held up either by
+ * itself (liquid, climbable), by the voxel below, or by the ground at z 0.
+ * Custom predicates may call this to extend the default behaviour.
+ * @param {number} x - The x coordinate of the node.
+ * @param {number} y - The y coordinate of the node.
+ * @param {number} z - The z coordinate of the node.
+ * @return {boolean}
+ */
+Grid.prototype.isStandableAt = function(x, y, z) {
+    var material = this.getMaterialAt(x, y, z);
+
+    if (!Material.canOccupy(material)) {
+        return false;
+    }
+    if (material === Material.LIQUID || material === Material.CLIMBABLE) {
+        return true;
+    }
+    return z === 0 || Material.canSupport(this.getMaterialAt(x, y, z - 1));
+};
+
+
+/**
+ * Determine whether a body fits at the given position, ignoring support:
+ * every voxel of the agent's footprint and height can be occupied.
+ * @param {number} x - The x coordinate of the node.
+ * @param {number} y - The y coordinate of the node.
+ * @param {number} z - The z coordinate of the node.
+ * @param {Agent} [agent] - The agent asking.
+ * @return {boolean}
+ */
+Grid.prototype.hasClearanceAt = function(x, y, z, agent) {
+    var width = agent ? agent.width : 1,
+        height = agent ? agent.height : 1,
+        k;
+
+    for (k = 0; k < height; ++k) {
+        if (!this._isLayerClearAt(x, y, z + k, width)) {
+            return false;
+        }
+    }
+    return true;
+};
+
+
+/**
+ * Whether every voxel of a width x width footprint at one level can be
+ * occupied.
+ * @protected
+ */
+Grid.prototype._isLayerClearAt = function(x, y, z, width) {
+    var i, j;
+
+    for (i = 0; i < width; ++i) {
+        for (j = 0; j < width; ++j) {
+            if (!Material.canOccupy(this.getMaterialAt(x + i, y + j, z))) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+
+/**
+ * Whether any voxel of a width x width footprint at one level can be
+ * climbed or swum, so that an agent there can move straight up or down.
+ * @protected
+ */
+Grid.prototype._isClimbableLayerAt = function(x, y, z, width) {
+    var i, j, material;
+
+    for (i = 0; i < width; ++i) {
+        for (j = 0; j < width; ++j) {
+            material = this.getMaterialAt(x + i, y + j, z);
+            if (material === Material.CLIMBABLE || material === Material.LIQUID) {
+                return true;
+            }
+        }
+    }
+    return false;
 };
 
 
 /**
  * Determine whether the node at the given position is walkable.
+ * For each voxel under the agent's feet, forbidden voxels are never
+ * walkable; otherwise the agent's predicate, the grid's predicate or the
+ * material rule decides, in that order. An agent wider than one voxel
+ * needs only one of them to be walkable as long as the others can be
+ * occupied, and the rest of its body needs clearance above.
+ * A flying agent needs nothing but clearance, narrowed down by its own
+ * predicate if it has one.
  * @param {number} x - The x coordinate of the node.
  * @param {number} y - The y coordinate of the node.
- * @param {number} y - The z coordinate of the node.
+ * @param {number} z - The z coordinate of the node.
+ * @param {Agent} [agent] - The agent asking.
  * @return {boolean} - The walkability of the node.
  */
-Grid.prototype.isWalkableAt = function(x, y, z) {
-    var support = this.nodes.voxelAtPosition([x, y, z-1]);
-    return (this.nodes.voxelAtPosition([x, y, z]) == 0 && support != 0 || z == 0);
+Grid.prototype.isWalkableAt = function(x, y, z, agent) {
+    var width = agent ? agent.width : 1,
+        height = agent ? agent.height : 1,
+        supported = false,
+        i, j;
+
+    if (agent && agent.fly) {
+        return this.hasClearanceAt(x, y, z, agent) &&
+            (!agent.walkable || !!agent.walkable(x, y, z, this));
+    }
+
+    for (i = 0; i < width; ++i) {
+        for (j = 0; j < width; ++j) {
+            if (this._isWalkableVoxelAt(x + i, y + j, z, agent)) {
+                supported = true;
+            } else if (!Material.canOccupy(this.getMaterialAt(x + i, y + j, z))) {
+                return false;
+            }
+        }
+    }
+    if (height > 1 && !this.hasClearanceAt(x, y, z + 1, {width: width, height: height - 1})) {
+        return false;
+    }
+    return supported;
+};
+
+
+/**
+ * Walkability of a single voxel for the given agent.
+ * @protected
+ */
+Grid.prototype._isWalkableVoxelAt = function(x, y, z, agent) {
+    var rule = (agent && agent.walkable) || this.walkable;
+
+    if (this.getMaterialAt(x, y, z) === Material.FORBIDDEN) {
+        return false;
+    }
+    return rule ? !!rule(x, y, z, this) : this.isStandableAt(x, y, z);
 };
 
 
@@ -48,79 +304,412 @@ Grid.prototype.isWalkableAt = function(x, y, z) {
  *  When allowDiagonal is true, if offsets[i] is valid, then
  *  diagonalOffsets[i] and
  *  diagonalOffsets[(i + 1) % 4] is valid.
- *  Note: This is also done on the layers above and below the current node.
+ *  Note: This is also done on the levels above and below the current node,
+ *  up to the agent's step or jump height and down to its fall height.
+ *
+ *  Rising needs room for the agent's body above its current node, dropping
+ *  needs room for it in the column of the lower node, and the corners of a
+ *  diagonal move are tested for that same clearance, at the higher of the
+ *  two levels, rather than for a place to stand.
+ *
+ *  Inside a climbable or liquid column, agents also move straight up or
+ *  down a level: from a ladder or water voxel to the one above it, or
+ *  from above one down into it.
+ *
+ *  Flying agents move to any of the 6 face neighbors, or all 26 neighbors
+ *  when allowDiagonal is true (see Grid#_getFlyingNeighbors).
  * @param {Node} node
  * @param {boolean} allowDiagonal
  * @param {boolean} dontCrossCorners
+ * @param {Agent} [agent]
+ * @param {NodeStore} [nodes] - The search's own nodes (see Grid#getNodeAt).
  */
-Grid.prototype.getNeighbors = function(node, allowDiagonal, dontCrossCorners) {
+Grid.prototype.getNeighbors = function(node, allowDiagonal, dontCrossCorners, agent, nodes) {
     var x = node.x,
         y = node.y,
         z = node.z,
+        width = agent ? agent.width : 1,
+        height = agent ? agent.height : 1,
+        rise = agent ? Math.max(agent.maxStepHeight, agent.jumpHeight) : 1,
+        fall = agent ? agent.maxFallHeight : 1,
         neighbors = [],
-        s = [],
-        d = [],
-        nodes = this.nodes;
+        i, a, b, nx, ny, dz;
+
+    nodes = nodes || this.nodeStore;
+    if (agent && agent.fly) {
+        return this._getFlyingNeighbors(node, allowDiagonal, dontCrossCorners, agent, nodes);
+    }
 
-    for(var cz = -1, cz < 2; cz++)
-    {
-        // ↑
-        if (this.isWalkableAt(x, y - 1, z + cz)) {
-            neighbors.push(Node(x, y - 1, z + cz, 1));
-            s[((cz+1)*4)+0] = true;
+    // the agent cannot rise any higher than the room above its head
+    for (dz = 0; dz < rise; ++dz) {
+        if (!this._isLayerClearAt(x, y, z + height + dz, width)) {
+            break;
         }
-        // →
-        if (this.isWalkableAt(x + 1, y, z + cz)) {
-            neighbors.push(Node(x, y, z + cz, 1));
-            s[((cz+1)*4)+1] = true;
+    }
+    rise = dz;
+
+    for (i = 0; i < 8; ++i) {
+        if (i < 4) {
+            nx = x + offsets[i][0];
+            ny = y + offsets[i][1];
+        } else if (allowDiagonal) {
+            a = (i + 3) % 4;
+            b = i % 4;
+            nx = x + offsets[a][0] + offsets[b][0];
+            ny = y + offsets[a][1] + offsets[b][1];
+        } else {
+            break;
         }
-        // ↓
-        if (this.isWalkableAt(x, y + 1, z + cz)) {
-            neighbors.push(Node(x, y + 1, z + cz, 1));
-            s[((cz+1)*4)+2] = true;
+
+        // the same level and above
+        for (dz = 0; dz <= rise; ++dz) {
+            if (i >= 4 && !this._canCutCorner(x, y, z + dz, a, b, dontCrossCorners, agent)) {
+                continue;
+            }
+            if (this.isWalkableAt(nx, ny, z + dz, agent)) {
+                neighbors.push(nodes.get(nx, ny, z + dz));
+            }
+        }
+
+        // below, for as long as the column of the lower node is clear
+        if (i >= 4 && !this._canCutCorner(x, y, z, a, b, dontCrossCorners, agent)) {
+            continue;
         }
-        // ←
-        if (this.isWalkableAt(x - 1, y, z + cz)) {
-            neighbors.push(Node(x, y, z + cz, 1));
-            s[((cz+1)*4)+3] = true;
+        for (dz = -1; dz >= -fall; --dz) {
+            if (!this._isLayerClearAt(nx, ny, z + dz + height, width)) {
+                break;
+            }
+            if (this.isWalkableAt(nx, ny, z + dz, agent)) {
+                neighbors.push(nodes.get(nx, ny, z + dz));
+            }
         }
     }
 
-    if (!allowDiagonal) {
-        return neighbors;
+    // straight up or down a climbable or liquid column
+    for (dz = -1; dz <= 1; dz += 2) {
+        if (this._canMove(x, y, z, 0, 0, dz, dontCrossCorners, agent) &&
+            this.isWalkableAt(x, y, z + dz, agent)) {
+            neighbors.push(nodes.get(x, y, z + dz));
+        }
     }
+    return neighbors;
+};
 
-    for(var cz = 0; cz < 3; cz++) {
-        if (dontCrossCorners) {
-            d[(cz*4)+0] = s[(cz*4)+3] && s[(cz*4)+0];
-            d[(cz*4)+1] = s[(cz*4)+0] && s[(cz*4)+1];
-            d[(cz*4)+2] = s[(cz*4)+1] && s[(cz*4)+2];
-            d[(cz*4)+3] = s[(cz*4)+2] && s[(cz*4)+3];
-        } else {
-            d[(cz*4)+0] = s[(cz*4)+3] || s[(cz*4)+0];
-            d[(cz*4)+1] = s[(cz*4)+0] || s[(cz*4)+1];
-            d[(cz*4)+2] = s[(cz*4)+1] || s[(cz*4)+2];
-            d[(cz*4)+3] = s[(cz*4)+2] || s[(cz*4)+3];
+
+/**
+ * Get the neighbors of the given node for a flying agent.
+ * Neighbors are visited by the number of axes they differ on: faces, then
+ * edges, then vertices. An edge or vertex neighbor is reached through the
+ * neighbors one axis closer to the node (the two faces beside an edge, the
+ * three edges beside a vertex): all of them when dontCrossCorners is true,
+ * otherwise any one of them.
+ * @protected
+ */
+Grid.prototype._getFlyingNeighbors = function(node, allowDiagonal, dontCrossCorners, agent, nodes) {
+    var x = node.x,
+        y = node.y,
+        z = node.z,
+        neighbors = [],
+        reached = [],
+        n, i, dx, dy, dz, axes, all, any;
+
+    for (n = 1; n <= (allowDiagonal ? 3 : 1); ++n) {
+        for (i = 0; i < 27; ++i) {
+            dx = ((i / 9) | 0) - 1;
+            dy = (((i / 3) | 0) % 3) - 1;
+            dz = (i % 3) - 1;
+            axes = (dx !== 0) + (dy !== 0) + (dz !== 0);
+            if (axes !== n) {
+                continue;
+            }
+            if (n > 1) {
+                // the neighbors with one of the differing axes zeroed
+                all = true;
+                any = false;
+                if (dx !== 0) {
+                    all = all && reached[i - dx * 9];
+                    any = any || reached[i - dx * 9];
+                }
+                if (dy !== 0) {
+                    all = all && reached[i - dy * 3];
+                    any = any || reached[i - dy * 3];
+                }
+                if (dz !== 0) {
+                    all = all && reached[i - dz];
+                    any = any || reached[i - dz];
+                }
+                if (dontCrossCorners ? !all : !any) {
+                    continue;
+                }
+            }
+            if (this.isWalkableAt(x + dx, y + dy, z + dz, agent)) {
+                reached[i] = true;
+                neighbors.push(nodes.get(x + dx, y + dy, z + dz));
+            }
+        }
+    }
+    return neighbors;
+};
+
+
+/**
+ * Whether a diagonal move at the given level may pass the corner between
+ * the orthogonal offsets a and b.
+ * @protected
+ */
+Grid.prototype._canCutCorner = function(x, y, z, a, b, dontCrossCorners, agent) {
+    var ca = this.hasClearanceAt(x + offsets[a][0], y + offsets[a][1], z, agent),
+        cb = this.hasClearanceAt(x + offsets[b][0], y + offsets[b][1], z, agent);
+
+    return dontCrossCorners ? ca && cb : ca || cb;
+};
+
+
+/**
+ * Get the nodes the given node is a neighbor of: those that can move to it
+ * in a single move. Moves are not symmetric (an agent may drop down a
+ * ledge it cannot climb back up), so searches running backwards from the
+ * goal follow these rather than the neighbors.
+ * For walking agents, the rules of Grid#getNeighbors are turned around
+ * rather than asked of every node around; flying agents ask them.
+ * @param {Node} node
+ * @param {boolean} allowDiagonal
+ * @param {boolean} dontCrossCorners
+ * @param {Agent} [agent]
+ * @param {NodeStore} [nodes] - The search's own nodes (see Grid#getNodeAt).
+ */
+Grid.prototype.getPredecessors = function(node, allowDiagonal, dontCrossCorners, agent, nodes) {
+    var x = node.x,
+        y = node.y,
+        z = node.z,
+        below = agent ? Math.max(agent.maxStepHeight, agent.jumpHeight) : 1,
+        above = agent ? agent.maxFallHeight : 1,
+        predecessors = [],
+        px, py, pz;
+
+    nodes = nodes || this.nodeStore;
+    if (agent && agent.fly) {
+        return this._getFlyingPredecessors(node, allowDiagonal, dontCrossCorners, agent, nodes);
+    }
+    if (!this.isWalkableAt(x, y, z, agent)) {
+        return predecessors;
+    }
+
+    for (pz = z - below; pz <= z + above; ++pz) {
+        for (py = y - 1; py <= y + 1; ++py) {
+            for (px = x - 1; px <= x + 1; ++px) {
+                if ((px === x && py === y) ||
+                    (px !== x && py !== y && !allowDiagonal) ||
+                    !this.isWalkableAt(px, py, pz, agent) ||
+                    !this._canMove(px, py, pz, x - px, y - py, z - pz, dontCrossCorners, agent)) {
+                    continue;
+                }
+                predecessors.push(nodes.get(px, py, pz));
+            }
         }
+    }
 
-        // ↖
-        if (d[(cz*4)+0] && this.isWalkableAt(x - 1, y - 1, cz-1)) {
-            neighbors.push(Node(x, y - 1, cz-1, 1));
+    // straight down or up a climbable or liquid column
+    for (pz = z - 1; pz <= z + 1; pz += 2) {
+        if (this.isWalkableAt(x, y, pz, agent) &&
+            this._canMove(x, y, pz, 0, 0, z - pz, dontCrossCorners, agent)) {
+            predecessors.push(nodes.get(x, y, pz));
         }
-        // ↗
-        if (d[(cz*4)+1] && this.isWalkableAt(x + 1, y - 1, cz-1)) {
-            neighbors.push(Node(x + 1, y - 1, cz-1, 1));
+    }
+    return predecessors;
+};
+
+
+/**
+ * Whether a walking agent at the given position has the room to move by
+ * the given offset to a walkable position, as Grid#getNeighbors decides:
+ * rising needs the room above its head, dropping the column it drops down,
+ * and diagonal moves the corner they pass. Straight up or down, it moves a
+ * single level, with something climbable or liquid in the lower one.
+ * @protected
+ */
+Grid.prototype._canMove = function(x, y, z, dx, dy, dz, dontCrossCorners, agent) {
+    var width = agent ? agent.width : 1,
+        height = agent ? agent.height : 1,
+        a = -1, b = -1,
+        k;
+
+    if (!dx && !dy) {
+        return (dz === 1 || dz === -1) && this._isClimbableLayerAt(x, y, Math.min(z, z + dz), width);
+    }
+    if (dx && dy) {
+        a = offsets[1][0] === dx ? 1 : 3;
+        b = offsets[2][1] === dy ? 2 : 0;
+    }
+    if (dz >= 0) {
+        for (k = 0; k < dz; ++k) {
+            if (!this._isLayerClearAt(x, y, z + height + k, width)) {
+                return false;
+            }
         }
-        // ↘
-        if (d[(cz*4)+2] && this.isWalkableAt(x + 1, y + 1, cz-1)) {
-            neighbors.push(Node(x, y + 1, cz-1, 1));
+        return a === -1 || this._canCutCorner(x, y, z + dz, a, b, dontCrossCorners, agent);
+    }
+    if (a !== -1 && !this._canCutCorner(x, y, z, a, b, dontCrossCorners, agent)) {
+        return false;
+    }
+    for (k = -1; k >= dz; --k) {
+        if (!this._isLayerClearAt(x + dx, y + dy, z + k + height, width)) {
+            return false;
         }
-        // ↙
-        if (d[(cz*4)+3] && this.isWalkableAt(x - 1, y + 1, cz-1)) {
-            neighbors.push(Node(x - 1, y + 1, cz-1, 1));
+    }
+    return true;
+};
+
+
+/**
+ * Get the predecessors of the given node for a flying agent, by asking
+ * every node around for its neighbors.
+ * @protected
+ */
+Grid.prototype._getFlyingPredecessors = function(node, allowDiagonal, dontCrossCorners, agent, nodes) {
+    var predecessors = [],
+        x, y, z, candidate, neighbors, i;
+
+    for (z = node.z - 1; z <= node.z + 1; ++z) {
+        for (y = node.y - 1; y <= node.y + 1; ++y) {
+            for (x = node.x - 1; x <= node.x + 1; ++x) {
+                if ((x === node.x && y === node.y && z === node.z) ||
+                    !this.isWalkableAt(x, y, z, agent)) {
+                    continue;
+                }
+                candidate = nodes.get(x, y, z);
+                neighbors = this.getNeighbors(candidate, allowDiagonal, dontCrossCorners, agent, nodes);
+                for (i = 0; i < neighbors.length; ++i) {
+                    if (neighbors[i] === node) {
+                        predecessors.push(candidate);
+                        break;
+                    }
+                }
+            }
         }
     }
-    return neighbors;
+    return predecessors;
+};
+
+
+/**
+ * Get the cost of moving between two neighboring nodes.
+ * The distance walked (1 orthogonally, sqrt(2) diagonally) is scaled by
+ * the agent's cost of the voxel entered, or of the voxel below it when the
+ * voxel entered has no cost of its own, and the agent's climb or descend
+ * cost is added for every level risen or dropped.
+ * Flying agents move 1, sqrt(2) or sqrt(3) across faces, edges and
+ * vertices, and only pay for the voxel entered.
+ * @param {Node} node - The node moved from.
+ * @param {Node} neighbor - The node moved to.
+ * @param {Agent} [agent] - The agent moving.
+ * @return {number} The cost of the move.
+ */
+Grid.prototype.getMoveCost = function(node, neighbor, agent) {
+    var x = neighbor.x,
+        y = neighbor.y,
+        z = neighbor.z,
+        dz = z - node.z,
+        distance = (x === node.x || y === node.y) ? 1 : Math.SQRT2,
+        costs, cost;
+
+    if (agent && agent.fly) {
+        distance = Math.sqrt((x !== node.x) + (y !== node.y) + (dz !== 0));
+    }
+
+    if (!agent) {
+        return distance;
+    }
+
+    costs = agent.costs;
+    cost = costs[this.getVoxelAt(x, y, z)];
+    if (cost === undefined && !agent.fly) {
+        cost = costs[this.getVoxelAt(x, y, z - 1)];
+    }
+    if (cost === undefined) {
+        cost = 1;
+    }
+
+    return distance * cost +
+        (dz > 0 ? dz * agent.climbCost : -dz * agent.descendCost);
+};
+
+
+/**
+ * Find every position an agent can reach from the given one without
+ * spending more than the given cost, moving as the finders do (see
+ * Grid#getNeighbors and Grid#getMoveCost).
+ * @param {{x: number, y: number, z: number}|Array.<number>} start - The
+ *     position to start from, as {x, y, z} or [x, y, z].
+ * @param {number} maxCost - The most that may be spent.
+ * @param {object} [opt]
+ * @param {boolean} [opt.allowDiagonal] - Whether diagonal movement is allowed.
+ * @param {boolean} [opt.dontCrossCorners] - Disallow diagonal movement touching block corners.
+ * @param {Agent} [opt.agent] - The agent moving.
+ * @return {{size: number, positions: Int32Array, costs: Float64Array}} The
+ *     number of positions reached, their x, y and z coordinates one after
+ *     the other, cheapest to reach first, and the cost of reaching each.
+ */
+Grid.prototype.reachable = function(start, maxCost, opt) {
+    opt = opt || {};
+
+    var agent = opt.agent,
+        nodes = this.acquireNodes(),
+        openList = new Heap(function(nodeA, nodeB) {
+            return nodeA.g - nodeB.g;
+        }),
+        reached = [],
+        positions, costs,
+        node, neighbors, neighbor, ng, i, l;
+
+    if (start.length === undefined) {
+        start = [start.x, start.y, start.z];
+    }
+    node = nodes.get(start[0], start[1], start[2]);
+    node.g = 0;
+    openList.push(node);
+    node.opened = true;
+
+    while (!openList.empty()) {
+        node = openList.pop();
+        node.closed = true;
+        reached.push(node);
+
+        neighbors = this.getNeighbors(node, opt.allowDiagonal, opt.dontCrossCorners, agent, nodes);
+        for (i = 0, l = neighbors.length; i < l; ++i) {
+            neighbor = neighbors[i];
+            if (neighbor.closed) {
+                continue;
+            }
+
+            ng = node.g + this.getMoveCost(node, neighbor, agent);
+            if (ng > maxCost) {
+                continue;
+            }
+            if (!neighbor.opened || ng < neighbor.g) {
+                neighbor.g = ng;
+                if (!neighbor.opened) {
+                    openList.push(neighbor);
+                    neighbor.opened = true;
+                } else {
+                    openList.updateItem(neighbor);
+                }
+            }
+        }
+    }
+
+    positions = new Int32Array(reached.length * 3);
+    costs = new Float64Array(reached.length);
+    for (i = 0, l = reached.length; i < l; ++i) {
+        node = reached[i];
+        positions[i * 3] = node.x;
+        positions[i * 3 + 1] = node.y;
+        positions[i * 3 + 2] = node.z;
+        costs[i] = node.g;
+    }
+    this.releaseNodes(nodes);
+
+    return {size: reached.length, positions: positions, costs: costs};
 };
 
 
@@ -130,7 +719,11 @@ Grid.prototype.getNeighbors = function(node, allowDiagonal, dontCrossCorners) {
  */
 Grid.prototype.clone = function() {
     var thisNodes = this.nodes,
-    newGrid = new Grid(thisNodes);
+        newGrid = new Grid(thisNodes, {
+            materials: this.materials,
+            walkable: this.walkable,
+            chunkSize: this.chunkSize
+        });
 
     return newGrid;
 };
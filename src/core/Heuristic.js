@@ -1,6 +1,13 @@
+var Agent = require('./Agent');
+
+var SQRT2 = Math.SQRT2,
+    SQRT3 = Math.sqrt(3);
+
 /**
  * @namespace PF.Heuristic
  * @description A collection of heuristic functions.
+ * Heuristics are called with the absolute differences in x, y and z between
+ * a node and the target, and the signed rise from the node to the target.
  */
 module.exports = {
 
@@ -8,7 +15,8 @@ module.exports = {
    * Manhattan distance.
    * @param {number} dx - Difference in x.
    * @param {number} dy - Difference in y.
-   * @return {number} dx + dy
+   * @param {number} dz - Difference in z.
+   * @return {number} dx + dy + dz
    */
   manhattan: function(dx, dy, dz) {
       return dx + dy + dz;
@@ -18,7 +26,8 @@ module.exports = {
    * Euclidean distance.
    * @param {number} dx - Difference in x.
    * @param {number} dy - Difference in y.
-   * @return {number} sqrt(dx * dx + dy * dy)
+   * @param {number} dz - Difference in z.
+   * @return {number} sqrt(dx * dx + dy * dy + dz * dz)
    */
   euclidean: function(dx, dy, dz) {
       return Math.sqrt(dx * dx + dy * dy + dz * dz);
@@ -28,10 +37,68 @@ module.exports = {
    * Chebyshev distance.
    * @param {number} dx - Difference in x.
    * @param {number} dy - Difference in y.
-   * @return {number} max(dx, dy)
+   * @param {number} dz - Difference in z.
+   * @return {number} max(dx, dy, dz)
    */
   chebyshev: function(dx, dy, dz) {
       return Math.max(Math.max(dx, dy), dz);
+  },
+
+  /**
+   * Octile distance in 3D: the cost of the shortest path when moving across
+   * a face, an edge or a vertex costs 1, sqrt(2) or sqrt(3).
+   * @param {number} dx - Difference in x.
+   * @param {number} dy - Difference in y.
+   * @param {number} dz - Difference in z.
+   * @return {number} (sqrt(3) - sqrt(2)) * min + (sqrt(2) - 1) * mid + max
+   */
+  octile: function(dx, dy, dz) {
+      var min = Math.min(dx, dy, dz),
+          max = Math.max(dx, dy, dz),
+          mid = dx + dy + dz - min - max;
+      return (SQRT3 - SQRT2) * min + (SQRT2 - 1) * mid + max;
+  },
+
+  /**
+   * No estimate at all, turning A* into Dijkstra's algorithm.
+   * @return {number} 0
+   */
+  zero: function(dx, dy, dz) {
+      return 0;
+  },
+
+  /**
+   * Build a heuristic matching the step costs of Grid#getMoveCost for an
+   * agent, so that A* stays optimal with weighted terrain and climb costs:
+   * the octile distance (in the x-y plane for walking agents) scaled by the
+   * cheapest voxel cost, plus the climb or descend cost of the rise.
+   * Without the rise, the cheaper of the two is charged for dz.
+   * @param {Agent|object} opt - The agent, or its options.
+   * @param {function} [distance] - The distance to scale instead of the
+   *     octile one, such as the euclidean one for paths at any angle.
+   * @return {function} The heuristic.
+   */
+  movement: function(opt, distance) {
+      var agent = new Agent(opt),
+          across = distance || module.exports.octile,
+          scale = 1,
+          id;
+
+      for (id in agent.costs) {
+          if (agent.costs.hasOwnProperty(id)) {
+              scale = Math.min(scale, agent.costs[id]);
+          }
+      }
+
+      return function(dx, dy, dz, rise) {
+          var distance = across(dx, dy, agent.fly ? dz : 0) * scale;
+
+          if (rise === undefined) {
+              return distance + dz * Math.min(agent.climbCost, agent.descendCost);
+          }
+          return distance +
+              (rise > 0 ? rise * agent.climbCost : -rise * agent.descendCost);
+      };
   }
 
 };
@@ -0,0 +1,61 @@
+/**
+ * @namespace PF.Material
+ * @description Material classes used by the grid to decide how a voxel
+ * interacts with an agent. Voxel ids are mapped onto these classes with
+ * `Grid#setMaterial`.
+ */
+module.exports = {
+
+  /**
+   * Blocks movement and can be stood upon (stone, dirt, slabs).
+   */
+  SOLID: 'solid',
+
+  /**
+   * Can be moved through but gives no support (air, open doors, tall grass).
+   */
+  PASSABLE: 'passable',
+
+  /**
+   * Can be moved through and keeps the agent afloat (water).
+   */
+  LIQUID: 'liquid',
+
+  /**
+   * Can be moved through and supports the agent from any side (ladders, vines).
+   */
+  CLIMBABLE: 'climbable',
+
+  /**
+   * Harms the agent (lava, fire, cactus). The default rule neither enters
+   * nor stands on it, but an agent's own predicate may accept it.
+   */
+  HAZARDOUS: 'hazardous',
+
+  /**
+   * Must never be entered nor stood upon by anyone (barriers, world border).
+   */
+  FORBIDDEN: 'forbidden',
+
+  /**
+   * Whether an agent may occupy a voxel of the given material.
+   * @param {string} material
+   * @return {boolean}
+   */
+  canOccupy: function(material) {
+      return material === 'passable' ||
+             material === 'liquid' ||
+             material === 'climbable';
+  },
+
+  /**
+   * Whether a voxel of the given material holds up an agent standing on it.
+   * @param {string} material
+   * @return {boolean}
+   */
+  canSupport: function(material) {
+      return material === 'solid' ||
+             material === 'climbable';
+  }
+
+};
@@ -0,0 +1,76 @@
+var Material = require('./Material');
+
+/**
+ * @namespace PF.Move
+ * @description Kinds of move an agent makes from one node of a path to
+ * the next.
+ */
+module.exports = {
+
+  /**
+   * Stays on the same level.
+   */
+  WALK: 'walk',
+
+  /**
+   * Walks up onto a ledge no higher than the agent's `maxStepHeight`.
+   */
+  STEP_UP: 'step-up',
+
+  /**
+   * Jumps up onto a ledge higher than the agent's `maxStepHeight`.
+   */
+  JUMP: 'jump',
+
+  /**
+   * Steps or falls down to a lower level.
+   */
+  DROP: 'drop',
+
+  /**
+   * Moves freely, regardless of gravity (see Agent#fly).
+   */
+  FLY: 'fly',
+
+  /**
+   * Moves into liquid.
+   */
+  SWIM: 'swim',
+
+  /**
+   * Moves up or down along something climbable (ladders, vines).
+   */
+  CLIMB: 'climb',
+
+  /**
+   * Classify a move by the change in height it makes and, when they are
+   * given, the materials it goes through.
+   * @param {number} dz - Target z minus source z.
+   * @param {Agent} [agent] - The agent moving.
+   * @param {string} [material] - Material class of the target voxel.
+   * @param {string} [fromMaterial] - Material class of the source voxel.
+   * @return {string} One of the move kinds above.
+   */
+  classify: function(dz, agent, material, fromMaterial) {
+      var maxStepHeight = agent ? agent.maxStepHeight : 1;
+
+      if (material === Material.LIQUID) {
+          return 'swim';
+      }
+      if (agent && agent.fly) {
+          return 'fly';
+      }
+      if (dz !== 0 &&
+          (material === Material.CLIMBABLE || fromMaterial === Material.CLIMBABLE)) {
+          return 'climb';
+      }
+      if (dz === 0) {
+          return 'walk';
+      }
+      if (dz < 0) {
+          return 'drop';
+      }
+      return dz <= maxStepHeight ? 'step-up' : 'jump';
+  }
+
+};
@@ -5,9 +5,10 @@
  * @constructor
  * @param {number} x - The x coordinate of the node on the grid.
  * @param {number} y - The y coordinate of the node on the grid.
+ * @param {number} z - The z coordinate of the node on the grid.
  * @param {boolean} [walkable] - Whether this node is walkable.
  */
-function Node(x, y, walkable) {
+function Node(x, y, z, walkable) {
     /**
      * The x coordinate of the node on the grid.
      * @type number
@@ -0,0 +1,152 @@
+var Node = require('./Node');
+
+/**
+ * Hands out one node per voxel position, so that the search state finders
+ * keep on nodes survives between calls to Grid#getNodeAt and
+ * Grid#getNeighbors.
+ * Each search works on a store of its own (see Grid#acquireNodes), so any
+ * number of searches can run on the same grid without seeing each other's
+ * state.
+ * Nodes are looked up through a table per chunk, keyed by chunk
+ * coordinates and allocated on first use. Chunks are small, 8 voxels a side
+ * by default, so that a search touching a few voxels of one allocates
+ * little. Table entries are stamped with the generation they were made in,
+ * so `clear` only has to start a new generation, after dropping the tables
+ * of chunks the last one did not touch. The node objects themselves are
+ * pooled and reused with fresh state, so memory stays bounded by the
+ * largest search rather than by the size of the world. They are plain
+ * `Node` instances, so accessors installed on `Node.prototype` (as the
+ * visualiser does) still observe every search.
+ * @constructor
+ * @param {number} [chunkSize] - Edge length of a chunk, in voxels
+ *     (defaults to 8).
+ */
+function NodeStore(chunkSize) {
+    /**
+     * Edge length of a chunk, in voxels.
+     * @type number
+     */
+    this.chunkSize = chunkSize || 8;
+    /**
+     * Per-chunk tables, keyed by 'cx|cy|cz'. Each holds the pool index of
+     * every voxel's node, the generation that index was stamped in, and
+     * the last generation the chunk was used in.
+     * @type object
+     */
+    this.chunks = {};
+    /**
+     * Current generation. Table entries from older ones are stale.
+     * @type number
+     */
+    this.generation = 1;
+    /**
+     * Node objects, reused from one generation to the next.
+     * @type Array.<Node>
+     */
+    this.pool = [];
+    /**
+     * Number of pooled nodes in use.
+     * @type number
+     */
+    this.size = 0;
+}
+
+/**
+ * Get the node at the given position, creating it on first use.
+ * @param {number} x - The x coordinate of the node.
+ * @param {number} y - The y coordinate of the node.
+ * @param {number} z - The z coordinate of the node.
+ * @return {Node}
+ */
+NodeStore.prototype.get = function(x, y, z) {
+    var n = this.chunkSize,
+        cx = Math.floor(x / n),
+        cy = Math.floor(y / n),
+        cz = Math.floor(z / n),
+        key = cx + '|' + cy + '|' + cz,
+        chunk = this.chunks[key],
+        generation = this.generation,
+        index, node;
+
+    if (!chunk) {
+        chunk = this.chunks[key] = {
+            slots: new Int32Array(n * n * n),
+            stamps: new Uint32Array(n * n * n),
+            generation: generation
+        };
+    }
+    chunk.generation = generation;
+
+    index = (x - cx * n) + n * ((y - cy * n) + n * (z - cz * n));
+    if (chunk.stamps[index] === generation) {
+        return this.pool[chunk.slots[index]];
+    }
+
+    node = this.pool[this.size];
+    if (node) {
+        resetNode(node, x, y, z);
+    } else {
+        node = this.pool[this.size] = new Node(x, y, z);
+    }
+    chunk.slots[index] = this.size++;
+    chunk.stamps[index] = generation;
+
+    return node;
+};
+
+/**
+ * Get the node at the given position if it has been handed out, without
+ * creating it or its chunk's table.
+ * @param {number} x - The x coordinate of the node.
+ * @param {number} y - The y coordinate of the node.
+ * @param {number} z - The z coordinate of the node.
+ * @return {Node} The node, or null if there is none yet.
+ */
+NodeStore.prototype.peek = function(x, y, z) {
+    var n = this.chunkSize,
+        cx = Math.floor(x / n),
+        cy = Math.floor(y / n),
+        cz = Math.floor(z / n),
+        chunk = this.chunks[cx + '|' + cy + '|' + cz],
+        index;
+
+    if (!chunk) {
+        return null;
+    }
+    index = (x - cx * n) + n * ((y - cy * n) + n * (z - cz * n));
+    return chunk.stamps[index] === this.generation ? this.pool[chunk.slots[index]] : null;
+};
+
+/**
+ * Forget every node handed out so far. Their objects are reused, with
+ * fresh state, by later calls to `get`.
+ */
+NodeStore.prototype.clear = function() {
+    var key;
+    for (key in this.chunks) {
+        if (this.chunks[key].generation !== this.generation) {
+            delete this.chunks[key];
+        }
+    }
+    this.generation += 1;
+    this.size = 0;
+};
+
+/**
+ * Move a pooled node to a new position and wipe whatever search state
+ * the finders left on it.
+ */
+function resetNode(node, x, y, z) {
+    var key;
+    for (key in node) {
+        if (node.hasOwnProperty(key)) {
+            node[key] = undefined;
+        }
+    }
+    node.x = x;
+    node.y = y;
+    node.z = z;
+    node.walkable = true;
+}
+
+module.exports = NodeStore;
@@ -0,0 +1,255 @@
+/**
+ * A path laid out in world space, for entities moving in floating-point
+ * coordinates rather than from voxel to voxel.
+ * The positions of the path become points at the centres of their voxels,
+ * or at the feet of an agent standing in them, optionally smoothened into
+ * a curve. The curve is measured along its length, so that it can be
+ * followed at a steady speed with `sampleAt`.
+ * Works best on a compressed path (see Util.compressPath), or the
+ * waypoints of an any-angle one, whose positions are where it turns.
+ * @constructor
+ * @param {Array.<Array.<number>>} path - The path, as the finders return it.
+ * @param {object} [opt]
+ * @param {string} [opt.anchor] - Where in each voxel the path passes:
+ *     'center' (the default) or 'feet', at the bottom of the voxel.
+ * @param {string} [opt.smoothing] - How to smoothen the corners:
+ *     'catmull-rom', through every position of the path, or 'bezier',
+ *     rounding each corner off between the middles of the segments
+ *     meeting there, and so keeping within them. Not smoothened by default.
+ * @param {number} [opt.subdivisions] - Pieces each segment of the path is
+ *     measured and sampled as when smoothened (defaults to 8).
+ */
+function PathCurve(path, opt) {
+    opt = opt || {};
+    this.anchor = opt.anchor || 'center';
+    this.smoothing = opt.smoothing || null;
+    this.subdivisions = opt.subdivisions || 8;
+    /**
+     * The positions of the path in world space, as [x, y, z].
+     * @type Array.<[number, number, number]>
+     */
+    this.waypoints = PathCurve.toWorld(path, this.anchor);
+    /**
+     * The points of the curve, joined by straight pieces, none of which
+     * are left empty.
+     * @type Array.<[number, number, number]>
+     */
+    this.points = this._flatten().filter(function(point, i, points) {
+        return i === 0 || !isSame(point, points[i - 1]);
+    });
+    /**
+     * Distance along the curve of each of its points.
+     * @type Array.<number>
+     */
+    this.distances = measure(this.points);
+    /**
+     * Length of the curve.
+     * @type number
+     */
+    this.length = this.distances.length ? this.distances[this.distances.length - 1] : 0;
+}
+
+/**
+ * Get the positions of a path in world space.
+ * @param {Array.<Array.<number>>} path - The path.
+ * @param {string} [anchor] - 'center' (the default) or 'feet' (see
+ *     PathCurve).
+ * @return {Array.<[number, number, number]>}
+ */
+PathCurve.toWorld = function(path, anchor) {
+    var dz = anchor === 'feet' ? 0 : 0.5;
+    if (anchor && anchor !== 'center' && anchor !== 'feet') {
+        throw new Error('Unknown anchor: ' + anchor);
+    }
+    return path.map(function(pos) {
+        return [pos[0] + 0.5, pos[1] + 0.5, pos[2] + dz];
+    });
+};
+
+/**
+ * Get the point of the curve at a distance along it from its start.
+ * Distances outside of the curve are brought back to its ends.
+ * @param {number} distance
+ * @return {[number, number, number]} The point, or null for an empty path.
+ */
+PathCurve.prototype.sampleAt = function(distance) {
+    var points = this.points,
+        i = this._pieceAt(distance),
+        a, b, span, t;
+
+    if (!points.length) {
+        return null;
+    }
+    if (i < 0) {
+        return points[0].slice();
+    }
+    a = points[i];
+    b = points[i + 1];
+    span = this.distances[i + 1] - this.distances[i];
+    t = Math.min(Math.max((distance - this.distances[i]) / span, 0), 1);
+    return [
+        a[0] + (b[0] - a[0]) * t,
+        a[1] + (b[1] - a[1]) * t,
+        a[2] + (b[2] - a[2]) * t
+    ];
+};
+
+/**
+ * Get the direction the curve heads in at a distance along it from its
+ * start, for steering.
+ * @param {number} distance
+ * @return {[number, number, number]} The direction, of length 1, or null
+ *     if the curve has no length.
+ */
+PathCurve.prototype.directionAt = function(distance) {
+    var i = this._pieceAt(distance),
+        a, b, span;
+
+    if (i < 0) {
+        return null;
+    }
+    a = this.points[i];
+    b = this.points[i + 1];
+    span = this.distances[i + 1] - this.distances[i];
+    return [(b[0] - a[0]) / span, (b[1] - a[1]) / span, (b[2] - a[2]) / span];
+};
+
+/**
+ * Find the piece of the curve a distance along it falls on.
+ * @protected
+ * @param {number} distance
+ * @return {number} The index of the point starting the piece, or -1 if the
+ *     curve has no length.
+ */
+PathCurve.prototype._pieceAt = function(distance) {
+    var distances = this.distances,
+        lo = 0,
+        hi = distances.length - 1,
+        mid;
+
+    if (!(this.length > 0)) {
+        return -1;
+    }
+    // the last piece starting at or before the distance
+    while (hi - lo > 1) {
+        mid = (lo + hi) >> 1;
+        if (distances[mid] <= distance) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+};
+
+/**
+ * Lay out the points of the curve.
+ * @protected
+ * @return {Array.<[number, number, number]>}
+ */
+PathCurve.prototype._flatten = function() {
+    var waypoints = this.waypoints,
+        smoothing = this.smoothing;
+
+    if (smoothing && smoothing !== 'catmull-rom' && smoothing !== 'bezier') {
+        throw new Error('Unknown smoothing: ' + smoothing);
+    }
+    // there are no corners to smoothen along fewer than three points
+    if (!smoothing || waypoints.length < 3) {
+        return waypoints.map(function(p) { return p.slice(); });
+    }
+    return smoothing === 'bezier' ?
+        bezier(waypoints, this.subdivisions) :
+        catmullRom(waypoints, this.subdivisions);
+};
+
+/**
+ * Sample a uniform Catmull-Rom spline through the given points, the first
+ * and last of which are repeated to shape its ends.
+ */
+function catmullRom(waypoints, subdivisions) {
+    var last = waypoints.length - 1,
+        points = [waypoints[0].slice()],
+        p0, p1, p2, p3, t, t2, t3, i, j, k, point;
+
+    for (i = 0; i < last; ++i) {
+        p0 = waypoints[Math.max(i - 1, 0)];
+        p1 = waypoints[i];
+        p2 = waypoints[i + 1];
+        p3 = waypoints[Math.min(i + 2, last)];
+        for (j = 1; j <= subdivisions; ++j) {
+            t = j / subdivisions;
+            t2 = t * t;
+            t3 = t2 * t;
+            point = [];
+            for (k = 0; k < 3; ++k) {
+                point.push(0.5 * (2 * p1[k] +
+                    (p2[k] - p0[k]) * t +
+                    (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * t2 +
+                    (3 * p1[k] - p0[k] - 3 * p2[k] + p3[k]) * t3));
+            }
+            points.push(point);
+        }
+    }
+    return points;
+}
+
+/**
+ * Sample quadratic Bezier curves rounding off each corner of the given
+ * points, from the middle of the segment before it to the middle of the
+ * one after, or the ends of the path.
+ */
+function bezier(waypoints, subdivisions) {
+    var last = waypoints.length - 1,
+        points = [waypoints[0].slice()],
+        from, corner, to, t, u, i, j, k, point;
+
+    for (i = 1; i < last; ++i) {
+        from = i === 1 ? waypoints[0] : middle(waypoints[i - 1], waypoints[i]);
+        corner = waypoints[i];
+        to = i === last - 1 ? waypoints[last] : middle(waypoints[i], waypoints[i + 1]);
+        for (j = 1; j <= subdivisions; ++j) {
+            t = j / subdivisions;
+            u = 1 - t;
+            point = [];
+            for (k = 0; k < 3; ++k) {
+                point.push(u * u * from[k] + 2 * u * t * corner[k] + t * t * to[k]);
+            }
+            points.push(point);
+        }
+    }
+    return points;
+}
+
+/**
+ * Get the point halfway between two others.
+ */
+function middle(a, b) {
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+}
+
+/**
+ * Whether two points are the same.
+ */
+function isSame(a, b) {
+    return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+/**
+ * Get the distance along a line through the given points of each of them.
+ */
+function measure(points) {
+    var distances = [], sum = 0, i, dx, dy, dz;
+    for (i = 0; i < points.length; ++i) {
+        if (i > 0) {
+            dx = points[i][0] - points[i - 1][0];
+            dy = points[i][1] - points[i - 1][1];
+            dz = points[i][2] - points[i - 1][2];
+            sum += Math.sqrt(dx * dx + dy * dy + dz * dz);
+        }
+        distances.push(sum);
+    }
+    return distances;
+}
+
+module.exports = PathCurve;
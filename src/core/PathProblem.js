@@ -0,0 +1,38 @@
+/**
+ * @namespace PF.PathProblem
+ * @description Why a position of a path can no longer be reached, as
+ * Util.validatePath tells it.
+ */
+module.exports = {
+
+  /**
+   * Something is in the way: the agent doesn't fit at the position, or
+   * in the way there (the room above its head to rise, the column it
+   * drops down, the corner it cuts, or anywhere along the straight line
+   * to a position further than a single move away).
+   */
+  BLOCKED: 'blocked',
+
+  /**
+   * The agent fits at the position, but has nothing to stand on.
+   */
+  NO_SUPPORT: 'no-support',
+
+  /**
+   * The position is higher above the one before than the agent can step
+   * or jump.
+   */
+  TOO_HIGH: 'too-high',
+
+  /**
+   * The position is deeper below the one before than the agent can fall.
+   */
+  TOO_DEEP: 'too-deep',
+
+  /**
+   * The position isn't a single move away from the one before: the same
+   * one, or diagonal when diagonal moves aren't allowed.
+   */
+  NOT_A_MOVE: 'not-a-move'
+
+};
@@ -0,0 +1,412 @@
+var ChunkVoxels = require('./ChunkVoxels');
+var PathWorker  = require('./PathWorker');
+
+/**
+ * Finds paths off the main thread: in a web worker in the browser, or
+ * a worker_threads worker in Node. Requests are answered asynchronously,
+ * one at a time, the highest priority first.
+ *
+ * The worker searches its own copy of the voxels. The chunks around the
+ * start and end of a request are copied over before it is sent, and kept
+ * there; voxels in chunks not copied count as forbidden. Call
+ * `notifyVoxelChanged` when a voxel changes, to keep the copy in sync.
+ *
+ * Where there are no workers, or when asked not to use one, the paths are
+ * found on the main thread instead, over the voxels themselves, between
+ * other tasks.
+ * @constructor
+ * @param {object} voxels - A voxeljs instance exposing `voxelAtPosition`.
+ * @param {object} [opt]
+ * @param {string} [opt.finder] - Name of the finder class in PF
+ *     (defaults to 'AStarFinder').
+ * @param {object} [opt.options] - Options of the finder, which have to be
+ *     sent to the worker: a heuristic is given by its name in PF.Heuristic,
+ *     and an agent by its options rather than as opt.agent.
+ * @param {object} [opt.materials] - Map of voxel id to material class, as
+ *     given to PF.Grid.
+ * @param {number} [opt.chunkSize] - Edge length of the chunks copied to
+ *     the worker (defaults to the chunk size of the voxels, or 32).
+ * @param {number} [opt.margin] - How far beyond the box spanned by the
+ *     start and end of a request the chunks copied reach (defaults to
+ *     the chunk size).
+ * @param {boolean|string|function} [opt.worker] - The worker script:
+ *     its path or URL, or a function making the worker. False finds the
+ *     paths on the main thread. Defaults to the script shipped with the
+ *     module in Node; a web worker needs one given (see PathWorker.listen).
+ * @param {number} [opt.sliceSize] - Most nodes a search on the main thread
+ *     expands between other tasks (defaults to 1000).
+ */
+function PathService(voxels, opt) {
+    opt = opt || {};
+    var self = this;
+
+    this.voxels = voxels;
+    this.chunkSize = opt.chunkSize || voxels.chunkSize || 32;
+    this.margin = opt.margin === undefined ? this.chunkSize : opt.margin;
+    /**
+     * Chunks copied to the worker so far, keyed by 'x|y|z'.
+     * @type object
+     */
+    this.chunks = {};
+    /**
+     * Requests waiting to be sent, in the order made.
+     * @type Array.<object>
+     */
+    this.queue = [];
+    /**
+     * The request being answered, if any.
+     * @type object
+     */
+    this.current = null;
+    this.nextId = 1;
+    /**
+     * Whether the service has been terminated, after which it sends
+     * nothing more and rejects every request.
+     * @type boolean
+     */
+    this.terminated = false;
+
+    this.worker = this._createWorker(opt.worker);
+    if (this.worker) {
+        this._listen(function(message) {
+            self._receive(message);
+        }, function(err) {
+            self._crash(err);
+        });
+        this._hold(false);
+    } else {
+        this.local = new PathWorker(voxels, function(message) {
+            self._receive(message);
+        }, {sliceSize: opt.sliceSize});
+    }
+
+    this._post({
+        type: 'init',
+        chunkSize: this.chunkSize,
+        materials: opt.materials || {},
+        finder: opt.finder || 'AStarFinder',
+        options: opt.options || {}
+    });
+}
+
+/**
+ * Find a path.
+ * Takes the start and end points ({x, y, z} or [x, y, z]); the end may
+ * also be a list of points, for finders searching for several goals.
+ * @param {object|Array} start
+ * @param {object|Array} end
+ * @param {object} [opt]
+ * @param {number} [opt.priority] - Requests of higher priority are
+ *     answered first (defaults to 0).
+ * @return {Promise} Resolves to the path, as the finder's findPath returns
+ *     it, or is rejected with why it couldn't be found (a goal predicate,
+ *     which can't be sent to a worker, is rejected straight away). Has a
+ *     `cancel` method, which rejects it if it isn't settled yet.
+ */
+PathService.prototype.findPath = function(start, end, opt) {
+    var self = this,
+        request, promise;
+
+    if (typeof end === 'function') {
+        promise = Promise.reject(new Error('A goal predicate can\'t be sent to a worker'));
+        promise.cancel = function() {};
+        return promise;
+    }
+    request = {
+        id: this.nextId++,
+        start: toArray(start),
+        end: end[0] !== undefined && typeof end[0] === 'object' ? end.map(toArray) : toArray(end),
+        priority: (opt && opt.priority) || 0
+    };
+    promise = new Promise(function(resolve, reject) {
+        request.resolve = resolve;
+        request.reject = reject;
+    });
+
+    promise.cancel = function() {
+        self._cancel(request);
+    };
+    this.queue.push(request);
+    this._next();
+    return promise;
+};
+
+/**
+ * Tell the service a voxel has changed, so the copy in the worker stays
+ * in sync. Requests made afterwards see the change.
+ * @param {number} x - The x coordinate of the voxel.
+ * @param {number} y - The y coordinate of the voxel.
+ * @param {number} z - The z coordinate of the voxel.
+ */
+PathService.prototype.notifyVoxelChanged = function(x, y, z) {
+    var size = this.chunkSize,
+        floor = Math.floor;
+    if (this.terminated) {
+        return;
+    }
+    if (!this.worker) {
+        // the voxels searched are the voxels themselves
+        this._post({type: 'set', x: x, y: y, z: z});
+        return;
+    }
+    if (!this.chunks[floor(x / size) + '|' + floor(y / size) + '|' + floor(z / size)]) {
+        // read afresh when the chunk is copied
+        return;
+    }
+    this._post({
+        type: 'set',
+        x: x, y: y, z: z,
+        value: this.voxels.voxelAtPosition([x, y, z]) || 0
+    });
+};
+
+/**
+ * Stop the worker, rejecting every request not yet answered.
+ */
+PathService.prototype.terminate = function() {
+    this.terminated = true;
+    this._rejectAll(new Error('Path service terminated'));
+    if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+    }
+    if (this.local) {
+        if (this.local.search) {
+            this.local.search.cancel();
+        }
+        this.local = null;
+    }
+};
+
+/**
+ * Make the worker, if there can be one.
+ * @protected
+ */
+PathService.prototype._createWorker = function(script) {
+    var threads;
+
+    if (script === false) {
+        return null;
+    }
+    if (typeof script === 'function') {
+        return script();
+    }
+    if (typeof Worker !== 'undefined') {
+        return script ? new Worker(script) : null;
+    }
+    try {
+        // hidden from browserify, which would otherwise try to bundle it
+        threads = module.require('worker_threads');
+    } catch (err) {
+        return null;
+    }
+    return new threads.Worker(script || __dirname + '/../worker.js');
+};
+
+/**
+ * Listen to the answers and errors of the worker.
+ * @protected
+ */
+PathService.prototype._listen = function(onMessage, onError) {
+    var worker = this.worker;
+    if (worker.on) {
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+    } else {
+        worker.onmessage = function(event) {
+            onMessage(event.data);
+        };
+        worker.onerror = onError;
+    }
+};
+
+/**
+ * Send a message to the worker, or on the main thread to the local one,
+ * after the current task. Nothing is sent once terminated.
+ * @protected
+ */
+PathService.prototype._post = function(message) {
+    var self = this;
+    if (this.terminated) {
+        return;
+    }
+    if (this.worker) {
+        this.worker.postMessage(message);
+    } else {
+        setTimeout(function() {
+            if (!self.terminated) {
+                self.local.receive(message);
+            }
+        }, 0);
+    }
+};
+
+/**
+ * Send the request of the highest priority, if none is being answered.
+ * @protected
+ */
+PathService.prototype._next = function() {
+    var queue = this.queue,
+        best = 0,
+        request, i;
+
+    if (this.terminated) {
+        this._rejectAll(new Error('Path service terminated'));
+        return;
+    }
+    if (this.current) {
+        return;
+    }
+    if (!queue.length) {
+        this._hold(false);
+        return;
+    }
+    for (i = 1; i < queue.length; ++i) {
+        if (queue[i].priority > queue[best].priority) {
+            best = i;
+        }
+    }
+    request = this.current = queue.splice(best, 1)[0];
+
+    if (this.worker) {
+        this._hold(true);
+        this._copyChunks(request);
+    }
+    this._post({type: 'find', id: request.id, start: request.start, end: request.end});
+};
+
+/**
+ * Keep a Node process running while the worker answers a request, but not
+ * while it waits for one, so that scripts can end without terminating the
+ * service. Web workers never keep a page from closing.
+ * @protected
+ */
+PathService.prototype._hold = function(busy) {
+    var worker = this.worker;
+    if (worker && worker.ref) {
+        if (busy) {
+            worker.ref();
+        } else {
+            worker.unref();
+        }
+    }
+};
+
+/**
+ * Copy the chunks around the start and end of a request to the worker,
+ * unless they have been already.
+ * @protected
+ */
+PathService.prototype._copyChunks = function(request) {
+    var size = this.chunkSize,
+        margin = this.margin,
+        floor = Math.floor,
+        points = [request.start].concat(typeof request.end[0] === 'object' ? request.end : [request.end]),
+        lo = points[0].slice(), hi = points[0].slice(),
+        key, i, x, y, z;
+
+    for (i = 1; i < points.length; ++i) {
+        lo = lo.map(function(v, axis) { return Math.min(v, points[i][axis]); });
+        hi = hi.map(function(v, axis) { return Math.max(v, points[i][axis]); });
+    }
+    for (z = floor((lo[2] - margin) / size); z <= floor((hi[2] + margin) / size); ++z) {
+        for (y = floor((lo[1] - margin) / size); y <= floor((hi[1] + margin) / size); ++y) {
+            for (x = floor((lo[0] - margin) / size); x <= floor((hi[0] + margin) / size); ++x) {
+                key = x + '|' + y + '|' + z;
+                if (!this.chunks[key]) {
+                    this.chunks[key] = true;
+                    this._post({
+                        type: 'chunk',
+                        x: x, y: y, z: z,
+                        data: ChunkVoxels.read(this.voxels, size, x, y, z)
+                    });
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Settle the request an answer is for, and send the next one.
+ * @protected
+ */
+PathService.prototype._receive = function(message) {
+    var request = this.current,
+        path;
+
+    if (!request || request.id !== message.id) {
+        return;
+    }
+    this.current = null;
+    if (message.error) {
+        request.reject(new Error(message.error));
+    } else if (!request.cancelled) {
+        path = message.path;
+        path.moves = message.moves;
+        path.status = message.status;
+        path.expanded = message.expanded;
+        path.stats = message.stats;
+        request.resolve(path);
+    }
+    this._next();
+};
+
+/**
+ * Reject a request not yet answered, telling the worker to give up on it
+ * if it is being searched.
+ * @protected
+ */
+PathService.prototype._cancel = function(request) {
+    var index = this.queue.indexOf(request);
+
+    if (request.cancelled) {
+        return;
+    }
+    if (index !== -1) {
+        this.queue.splice(index, 1);
+    } else if (request === this.current) {
+        // the worker still answers, and is free again once it has
+        this._post({type: 'cancel', id: request.id});
+    } else {
+        return;
+    }
+    request.cancelled = true;
+    request.reject(new Error('Path request cancelled'));
+};
+
+/**
+ * Reject every request not yet answered when the worker fails, as it
+ * can't be relied upon any more.
+ * @protected
+ */
+PathService.prototype._crash = function(err) {
+    this._rejectAll(err);
+    this.terminate();
+};
+
+/**
+ * Reject every request not yet answered.
+ * @protected
+ */
+PathService.prototype._rejectAll = function(err) {
+    var requests = this.queue;
+    if (this.current) {
+        requests.unshift(this.current);
+    }
+    this.queue = [];
+    this.current = null;
+    requests.forEach(function(request) {
+        if (!request.cancelled) {
+            request.reject(err);
+        }
+    });
+};
+
+/**
+ * Get a position as [x, y, z].
+ */
+function toArray(point) {
+    return point.length === undefined ? [point.x, point.y, point.z] : point.slice(0, 3);
+}
+
+module.exports = PathService;
@@ -0,0 +1,232 @@
+var Grid        = require('./Grid');
+var Heuristic   = require('./Heuristic');
+var Material    = require('./Material');
+var ChunkVoxels = require('./ChunkVoxels');
+
+/**
+ * The side of a PathService that finds the paths: in a worker, over the
+ * chunks of voxels sent to it, or on the main thread, over the voxels
+ * themselves when there are no workers. It answers one message at a time,
+ * posting the answer back with `post`.
+ *
+ * Messages, by `type`:
+ * - 'init' {chunkSize, materials, finder, options}: builds the grid and
+ *   the finder, `new PF[finder](options)`. A `heuristic` option may be
+ *   given by its name in PF.Heuristic. If that fails, every 'find' is
+ *   answered with the error.
+ * - 'chunk' {x, y, z, data}: stores the voxel ids of a chunk.
+ * - 'set' {x, y, z, [value]}: changes a voxel, or tells the finder it has
+ *   changed when searching the voxels themselves.
+ * - 'find' {id, start, end}: finds a path, answered with
+ *   {id, path, moves, status, expanded, stats}, or {id, error} if the
+ *   search throws.
+ * - 'cancel' {id}: gives up on the search of that id, if still running.
+ * @constructor
+ * @param {object} voxels - The voxels to search, or null for the chunks
+ *     sent to a worker.
+ * @param {function} post - Posts an answer back.
+ * @param {object} [opt]
+ * @param {number} [opt.sliceSize] - Most nodes to expand at a time,
+ *     between which cancellations are taken in, with finders making
+ *     resumable searches (defaults to 1000).
+ */
+function PathWorker(voxels, post, opt) {
+    opt = opt || {};
+    this.voxels = voxels;
+    this.post = post;
+    this.sliceSize = opt.sliceSize || 1000;
+    this.grid = null;
+    this.Finder = null;
+    this.options = null;
+    this.finder = null;
+    /**
+     * The search being run a slice at a time, with the id of its request.
+     * @type Search
+     */
+    this.search = null;
+    this.searchId = null;
+    /**
+     * Why the grid or the finder couldn't be built, if they couldn't:
+     * every path asked for is answered with it.
+     * @type Error
+     */
+    this.error = null;
+}
+
+/**
+ * Answer the messages arriving on a worker's port: `parentPort` of
+ * worker_threads, or the global scope of a web worker.
+ * For a web worker, the script needs little more than:
+ *
+ *     importScripts('pathfinding-browser.js');
+ *     PF.PathWorker.listen(self);
+ *
+ * @param {object} port
+ * @return {PathWorker}
+ */
+PathWorker.listen = function(port) {
+    var worker = new PathWorker(null, function(message) {
+        port.postMessage(message);
+    });
+    if (port.on) {
+        port.on('message', function(message) {
+            worker.receive(message);
+        });
+    } else {
+        port.addEventListener('message', function(event) {
+            worker.receive(event.data);
+        });
+    }
+    return worker;
+};
+
+/**
+ * Handle a message.
+ * @param {object} message
+ */
+PathWorker.prototype.receive = function(message) {
+    switch (message.type) {
+    case 'init':
+        try {
+            this._init(message);
+        } catch (err) {
+            this.error = err;
+        }
+        break;
+    case 'chunk':
+        this.voxels.setChunk(message.x, message.y, message.z, message.data);
+        // a finder keeping state across searches starts over, rather than
+        // being told about every voxel of the chunk
+        if (this.finder && this.finder.notifyVoxelChanged) {
+            this.finder = new this.Finder(this.options);
+        }
+        break;
+    case 'set':
+        if (message.value !== undefined) {
+            this.voxels.voxelAtPosition([message.x, message.y, message.z], message.value);
+        }
+        if (this.finder && this.finder.notifyVoxelChanged) {
+            this.finder.notifyVoxelChanged(message.x, message.y, message.z);
+        }
+        break;
+    case 'find':
+        this._find(message);
+        break;
+    case 'cancel':
+        if (this.search && this.searchId === message.id) {
+            this.search.cancel();
+        }
+        break;
+    }
+};
+
+/**
+ * Build the grid and the finder. Throws if the finder isn't known.
+ * @protected
+ */
+PathWorker.prototype._init = function(message) {
+    // required here, as the finders are only known once everything is loaded
+    var PF = require('../PathFinding'),
+        Finder = PF[message.finder],
+        options = {},
+        key;
+
+    this.error = null;
+    this.finder = null;
+    if (!this.voxels) {
+        this.voxels = new ChunkVoxels(message.chunkSize);
+    }
+    this.grid = new Grid(this.voxels, {
+        chunkSize: message.chunkSize,
+        materials: message.materials
+    });
+    if (this.voxels instanceof ChunkVoxels) {
+        this.grid.setMaterial(ChunkVoxels.UNKNOWN, Material.FORBIDDEN);
+    }
+
+    if (!Finder || !Finder.prototype.findPath) {
+        throw new Error('Unknown finder: ' + message.finder);
+    }
+    for (key in message.options) {
+        if (message.options.hasOwnProperty(key)) {
+            options[key] = message.options[key];
+        }
+    }
+    if (typeof options.heuristic === 'string') {
+        options.heuristic = Heuristic[options.heuristic];
+    }
+    this.Finder = Finder;
+    this.options = options;
+    this.finder = new Finder(options);
+};
+
+/**
+ * Find a path, a slice at a time with finders making resumable searches,
+ * and post it back.
+ * @protected
+ */
+PathWorker.prototype._find = function(message) {
+    var self = this,
+        finder = this.finder,
+        search;
+
+    if (this.error) {
+        this._fail(message.id, this.error);
+        return;
+    }
+    try {
+        if (!finder.createSearch) {
+            this._answer(message.id, finder.findPath(message.start, message.end, this.grid));
+            return;
+        }
+        search = finder.createSearch(message.start, message.end, this.grid);
+    } catch (err) {
+        this._fail(message.id, err);
+        return;
+    }
+
+    this.search = search;
+    this.searchId = message.id;
+    (function slice() {
+        try {
+            search.step(self.sliceSize);
+        } catch (err) {
+            search.cancel();
+            self.search = null;
+            self._fail(message.id, err);
+            return;
+        }
+        if (search.path) {
+            self.search = null;
+            self._answer(message.id, search.path);
+        } else {
+            setTimeout(slice, 0);
+        }
+    })();
+};
+
+/**
+ * Post a path back, along with the moves, status, count of nodes expanded
+ * and statistics it carries.
+ * @protected
+ */
+PathWorker.prototype._answer = function(id, path) {
+    this.post({
+        id: id,
+        path: path.slice(),
+        moves: path.moves,
+        status: path.status,
+        expanded: path.expanded,
+        stats: path.stats
+    });
+};
+
+/**
+ * Post the error a search threw back.
+ * @protected
+ */
+PathWorker.prototype._fail = function(id, err) {
+    this.post({id: id, error: err.message || String(err)});
+};
+
+module.exports = PathWorker;
@@ -0,0 +1,116 @@
+var Goal   = require('./Goal');
+var Budget = require('./Budget');
+var Status = require('./Status');
+
+/**
+ * A search that can be run a few nodes at a time, so that a long one can be
+ * spread over several frames instead of blocking them. The search holds on
+ * to its nodes until it ends or is cancelled, and doesn't see voxels
+ * changing in the meantime.
+ * Made by the finder's createSearch, which drives it through the finder's
+ * `_startSearch(search)` and `_stepSearch(search)`: the latter expands
+ * a single node, and ends the search by calling `finish` or `fail`.
+ * @constructor
+ * @param {object} finder - The finder searching.
+ * @param {number} startX - The x coordinate of the start position.
+ * @param {number} startY - The y coordinate of the start position.
+ * @param {number} startZ - The z coordinate of the start position.
+ * @param {number|Array|function} endX - The x coordinate of the end
+ *     position, or the goals (see PF.Goal).
+ * @param {number} [endY] - The y coordinate of the end position.
+ * @param {number} [endZ] - The z coordinate of the end position.
+ * @param {Grid} grid - The grid to search.
+ */
+function Search(finder, startX, startY, startZ, endX, endY, endZ, grid) {
+    this.finder = finder;
+    this.grid = grid;
+    this.nodes = grid.acquireNodes();
+    this.startNode = this.nodes.get(startX, startY, startZ);
+    this.goal = new Goal(endX, endY, endZ);
+    this.budget = new Budget(finder, endX, endY, endZ);
+    /**
+     * How the search stands (see PF.Status).
+     * @type string
+     */
+    this.status = Status.IN_PROGRESS;
+    /**
+     * The path found, once the search has ended.
+     * @type Array.<[number, number, number]>
+     */
+    this.path = null;
+
+    finder._startSearch(this);
+}
+
+/**
+ * Carry on with the search.
+ * @param {number} [maxIterations] - Most nodes to expand before returning
+ *     (defaults to 1).
+ * @return {string} How the search stands afterwards: Status.IN_PROGRESS,
+ *     or how it ended (see PF.Status).
+ */
+Search.prototype.step = function(maxIterations) {
+    var finder = this.finder,
+        i;
+
+    if (maxIterations === undefined) {
+        maxIterations = 1;
+    }
+    this.budget.resume();
+    for (i = 0; i < maxIterations && this.status === Status.IN_PROGRESS; ++i) {
+        finder._stepSearch(this);
+    }
+    this.budget.pause();
+    return this.status;
+};
+
+/**
+ * Carry on with the search until it ends.
+ * @return {Array.<[number, number, number]>} The path, as the finder's
+ *     findPath would return it.
+ */
+Search.prototype.run = function() {
+    this.step(Infinity);
+    return this.path;
+};
+
+/**
+ * End the search, having found the path to the goal.
+ * @param {Array.<[number, number, number]>} path
+ */
+Search.prototype.finish = function(path) {
+    this._end(this.budget.found(path));
+};
+
+/**
+ * End the search without reaching the goal (see Budget#failed).
+ * @param {function} [trace] - Builds the path to the closest node.
+ */
+Search.prototype.fail = function(trace) {
+    this._end(this.budget.failed(trace));
+};
+
+/**
+ * Give up on the search, handing its nodes back to the grid. Does nothing
+ * if it has already ended.
+ */
+Search.prototype.cancel = function() {
+    if (this.status === Status.IN_PROGRESS) {
+        this.budget.cutOff = true;
+        this.budget.closest = null;
+        this.fail();
+    }
+};
+
+/**
+ * Record the path and how the search ended, and hand back the nodes.
+ * @protected
+ */
+Search.prototype._end = function(path) {
+    this.path = path;
+    this.status = path.status;
+    this.grid.releaseNodes(this.nodes);
+    this.nodes = null;
+};
+
+module.exports = Search;
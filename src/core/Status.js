@@ -0,0 +1,29 @@
+/**
+ * @namespace PF.Status
+ * @description How a search ended, recorded on the path a finder returns
+ * as `path.status`.
+ */
+module.exports = {
+
+  /**
+   * The search hasn't ended yet (see PF.Search).
+   */
+  IN_PROGRESS: 'in-progress',
+
+  /**
+   * The path reaches the goal.
+   */
+  FOUND: 'found',
+
+  /**
+   * The goal can't be reached, and the path is empty.
+   */
+  UNREACHABLE: 'unreachable',
+
+  /**
+   * The search ran out of budget (see PF.Budget) before reaching the goal.
+   * The path leads as close to the goal as the search got, or is empty.
+   */
+  CUT_OFF: 'cut-off'
+
+};
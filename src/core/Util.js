@@ -1,16 +1,27 @@
+var Move        = require('./Move');
+var Goal        = require('./Goal');
+var Agent       = require('./Agent');
+var Material    = require('./Material');
+var Status      = require('./Status');
+var PathProblem = require('./PathProblem');
+
 /**
  * Backtrace according to the parent records and return the path.
  * (including both start and end nodes)
+ * The kind of each move is recorded in `path.moves` (see pathMoves).
  * @param {Node} node End node
+ * @param {Agent} [agent] The agent the path was found for
  * @return {Array.<Array.<number>>} the path
  */
-function backtrace(node) {
+function backtrace(node, agent) {
     var path = [[node.x, node.y, node.z]];
     while (node.parent) {
         node = node.parent;
         path.push([node.x, node.y, node.z]);
     }
-    return path.reverse();
+    path.reverse();
+    path.moves = pathMoves(path, agent);
+    return path;
 }
 exports.backtrace = backtrace;
 
@@ -19,14 +30,329 @@ exports.backtrace = backtrace;
  * (including both start and end nodes)
  * @param {Node}
  * @param {Node}
+ * @param {Agent} [agent] The agent the path was found for
  */
-function biBacktrace(nodeA, nodeB) {
+function biBacktrace(nodeA, nodeB, agent) {
     var pathA = backtrace(nodeA),
-        pathB = backtrace(nodeB);
-    return pathA.concat(pathB.reverse());
+        pathB = backtrace(nodeB),
+        path = pathA.concat(pathB.reverse());
+    path.moves = pathMoves(path, agent);
+    return path;
 }
 exports.biBacktrace = biBacktrace;
 
+/**
+ * Classify every move of the path (see PF.Move).
+ * Swimming and climbing are only told apart when given the grid.
+ * @param {Array.<Array.<number>>} path The path
+ * @param {Agent} [agent] The agent walking the path
+ * @param {Grid} [grid] The grid the path goes through
+ * @return {Array.<string>} The kinds of move, where the i-th one takes the
+ *     agent from path[i] to path[i + 1]
+ */
+function pathMoves(path, agent, grid) {
+    var moves = [], i, a, b;
+    for (i = 1; i < path.length; ++i) {
+        a = path[i - 1];
+        b = path[i];
+        moves.push(grid ?
+            Move.classify(b[2] - a[2], agent,
+                grid.getMaterialAt(b[0], b[1], b[2]), grid.getMaterialAt(a[0], a[1], a[2])) :
+            Move.classify(b[2] - a[2], agent));
+    }
+    return moves;
+}
+exports.pathMoves = pathMoves;
+
+/**
+ * Describe each step of a path found for an agent: the kind of move
+ * leading to it, whether that move is diagonal, and what the path costs up
+ * to it, so that animation and AI code can act out every step.
+ * @param {Array.<Array.<number>>} path The path, as returned by a finder
+ * @param {Grid} grid The grid the path goes through
+ * @param {Agent} [agent] The agent walking the path
+ * @return {{steps: Array.<object>, cost: number, expanded: number,
+ *     status: string}} The steps, each as {x, y, z, move, diagonal, cost},
+ *     where the first one, the start, has no move; the cost of the whole
+ *     path; and the nodes expanded and how the search ended, as the finder
+ *     recorded them on the path.
+ */
+function describePath(path, grid, agent) {
+    var moves = pathMoves(path, agent, grid),
+        steps = [],
+        cost = 0,
+        i, a, b;
+
+    for (i = 0; i < path.length; ++i) {
+        b = path[i];
+        if (i > 0) {
+            a = path[i - 1];
+            cost += grid.getMoveCost({x: a[0], y: a[1], z: a[2]}, {x: b[0], y: b[1], z: b[2]}, agent);
+        }
+        steps.push({
+            x: b[0],
+            y: b[1],
+            z: b[2],
+            move: i > 0 ? moves[i - 1] : null,
+            diagonal: i > 0 && a[0] !== b[0] && a[1] !== b[1],
+            cost: cost
+        });
+    }
+    return {
+        steps: steps,
+        cost: cost,
+        expanded: path.expanded,
+        status: path.status
+    };
+}
+exports.describePath = describePath;
+
+/**
+ * Check a path against the grid as it is now, for instance after voxels
+ * have changed: every position has to be walkable, and a move from the one
+ * before it that Grid#getNeighbors allows, for the same agent and options
+ * the path was found with. Positions further apart than a single move, as
+ * in the paths of jump point search, Theta* or smoothenPath, have to be
+ * reached by walking straight there instead (see walkLine).
+ * @param {Grid} grid The grid the path goes through
+ * @param {Array.<Array.<number>>} path The path
+ * @param {object} [opt] The options the path was found with, as given to
+ *     the finder: allowDiagonal, dontCrossCorners, and agent or the
+ *     options of one
+ * @return {{index: number, reason: string}} The first position that can't
+ *     be reached and why (see PF.PathProblem), from which the path can be
+ *     found again starting at the position before it; or null if the
+ *     whole path can still be walked
+ */
+function validatePath(grid, path, opt) {
+    opt = opt || {};
+    var agent = opt.agent || new Agent(opt),
+        nodes = grid.acquireNodes(),
+        lines = null,
+        problem = null,
+        i, a, b, neighbors;
+
+    for (i = 0; i < path.length; ++i) {
+        b = path[i];
+        if (!grid.isWalkableAt(b[0], b[1], b[2], agent)) {
+            problem = !agent.fly && grid.hasClearanceAt(b[0], b[1], b[2], agent) &&
+                grid.getMaterialAt(b[0], b[1], b[2]) !== Material.FORBIDDEN ?
+                PathProblem.NO_SUPPORT : PathProblem.BLOCKED;
+            break;
+        }
+        if (i === 0) {
+            continue;
+        }
+        a = path[i - 1];
+        if (!isNextTo(a, b, agent.fly)) {
+            lines = lines || grid.acquireNodes();
+            if (!walkLine(grid, a, b, agent, opt, lines)) {
+                problem = PathProblem.BLOCKED;
+                break;
+            }
+            continue;
+        }
+        neighbors = grid.getNeighbors(nodes.get(a[0], a[1], a[2]),
+            opt.allowDiagonal, opt.dontCrossCorners, agent, nodes);
+        if (neighbors.indexOf(nodes.get(b[0], b[1], b[2])) === -1) {
+            problem = whyNotAMove(a, b, agent, opt.allowDiagonal);
+            break;
+        }
+    }
+    grid.releaseNodes(nodes);
+    if (lines) {
+        grid.releaseNodes(lines);
+    }
+
+    return problem ? {index: i, reason: problem} : null;
+}
+exports.validatePath = validatePath;
+
+/**
+ * Whether two positions are no further apart than a single move: in
+ * neighboring columns, or neighboring voxels for agents flying.
+ */
+function isNextTo(a, b, fly) {
+    return Math.abs(a[0] - b[0]) <= 1 && Math.abs(a[1] - b[1]) <= 1 &&
+        (!fly || Math.abs(a[2] - b[2]) <= 1);
+}
+
+/**
+ * Tell why the agent can't move between two walkable positions.
+ */
+function whyNotAMove(a, b, agent, allowDiagonal) {
+    var dx = Math.abs(b[0] - a[0]),
+        dy = Math.abs(b[1] - a[1]),
+        dz = b[2] - a[2];
+
+    if (dx > 1 || dy > 1 || (dx && dy && !allowDiagonal) ||
+            (agent.fly ? Math.abs(dz) > 1 || (!dx && !dy && !dz) : !dx && !dy)) {
+        return PathProblem.NOT_A_MOVE;
+    }
+    if (!agent.fly && dz > Math.max(agent.maxStepHeight, agent.jumpHeight)) {
+        return PathProblem.TOO_HIGH;
+    }
+    if (!agent.fly && -dz > agent.maxFallHeight) {
+        return PathProblem.TOO_DEEP;
+    }
+    return PathProblem.BLOCKED;
+}
+
+/**
+ * Work out what a path costs up to each of its positions.
+ * @param {Array.<Array.<number>>} path The path
+ * @param {Grid} grid The grid the path goes through
+ * @param {Agent} [agent] The agent walking the path
+ * @return {Array.<number>} The cost of the path up to each position, 0 for
+ *     the start
+ */
+function pathCosts(path, grid, agent) {
+    var costs = [], cost = 0, i, a, b;
+    for (i = 0; i < path.length; ++i) {
+        b = path[i];
+        if (i > 0) {
+            a = path[i - 1];
+            cost += grid.getMoveCost({x: a[0], y: a[1], z: a[2]}, {x: b[0], y: b[1], z: b[2]}, agent);
+        }
+        costs.push(cost);
+    }
+    return costs;
+}
+exports.pathCosts = pathCosts;
+
+/**
+ * Replace a stretch of a path with another path between the same two
+ * positions. The original path is not modified; a new path is returned,
+ * along with its moves, and its status, when the original has them.
+ * When the original path has the cumulative costs of its positions as
+ * `path.costs` (see pathCosts), the new one has them too: those up to the
+ * stretch are kept, and those after it shifted by what the stretch costs
+ * more or less than before, rather than worked out again.
+ * @param {Array.<Array.<number>>} path The path
+ * @param {number} from Index of the position the stretch starts at
+ * @param {number} to Index of the position the stretch ends at
+ * @param {Array.<Array.<number>>} piece The path replacing the stretch,
+ *     from path[from] to path[to]
+ * @param {Grid} [grid] The grid the path goes through, to work out the
+ *     costs of the piece when it has none of its own; an error is thrown
+ *     without it then
+ * @param {Agent} [agent] The agent walking the path
+ * @return {Array.<Array.<number>>} The new path
+ */
+function splicePath(path, from, to, piece, grid, agent) {
+    var spliced = path.slice(0, from).concat(piece, path.slice(to + 1)),
+        costs, shift;
+
+    if (path.moves) {
+        spliced.moves = path.moves.slice(0, from).concat(
+            piece.moves || pathMoves(piece, agent), path.moves.slice(to));
+    }
+    if (path.costs) {
+        if (!piece.costs && !grid) {
+            throw new Error('The costs of the piece need a grid to be worked out');
+        }
+        costs = (piece.costs || pathCosts(piece, grid, agent)).map(function(cost) {
+            return path.costs[from] + cost;
+        });
+        shift = costs[costs.length - 1] - path.costs[to];
+        spliced.costs = path.costs.slice(0, from).concat(costs, path.costs.slice(to + 1).map(function(cost) {
+            return cost + shift;
+        }));
+    }
+    if (path.status) {
+        spliced.status = path.status;
+    }
+    return spliced;
+}
+exports.splicePath = splicePath;
+
+/**
+ * Find again only the stretches of a path that can no longer be walked
+ * (see validatePath), rather than the whole path: each from the last
+ * position before it that can still be reached, to the first position
+ * after it the agent can stand at, or if there is no way there, to the end
+ * of the path. The new stretches are spliced in (see splicePath).
+ * @param {Grid} grid The grid the path goes through
+ * @param {Array.<Array.<number>>} path The path
+ * @param {object} finder The finder to find the stretches with, whose
+ *     agent and options the path is checked for
+ * @return {Array.<Array.<number>>} The path repaired, or the path itself
+ *     if it can still be walked; null if it can't be repaired, as its
+ *     start can't be stood at or its end reached
+ */
+function repairPath(grid, path, finder) {
+    var agent = finder.agent,
+        checked = 0,
+        problem, from, to, end, piece;
+
+    while ((problem = validatePath(grid, path.slice(checked), finder))) {
+        from = checked + problem.index - 1;
+        if (from < 0) {
+            return null;
+        }
+        end = path.length - 1;
+        for (to = from + 1; to < end; ++to) {
+            if (grid.isWalkableAt(path[to][0], path[to][1], path[to][2], agent)) {
+                break;
+            }
+        }
+        piece = findStretch(grid, path, from, to, finder);
+        if (!piece && to < end) {
+            to = end;
+            piece = findStretch(grid, path, from, to, finder);
+        }
+        if (!piece) {
+            return null;
+        }
+        path = splicePath(path, from, to, piece, grid, agent);
+        checked = from + piece.length - 1;
+    }
+    return path;
+}
+exports.repairPath = repairPath;
+
+/**
+ * Find the path between two positions of a path, or null if there is none.
+ */
+function findStretch(grid, path, from, to, finder) {
+    var piece = finder.findPath(path[from], path[to], grid);
+    return piece.status === Status.FOUND ? piece : null;
+}
+
+/**
+ * Read the arguments findPath was called with: either the coordinates of
+ * the start and end positions, `(startX, startY, startZ, endX, endY, endZ,
+ * grid)`, or the start and end points, `(start, end, grid)`, each as
+ * {x, y, z} or [x, y, z].
+ * Finders that search for the nearest of several goals also take a list of
+ * end points or a predicate as `end` (see PF.Goal), which is passed on as
+ * endX.
+ * @param {Arguments} args The arguments of findPath
+ * @param {boolean} [goals] Whether the finder takes several goals
+ * @return {Array} The arguments as coordinates:
+ *     [startX, startY, startZ, endX, endY, endZ, grid]
+ */
+function endpointArguments(args, goals) {
+    var start = args[0], end = args[1];
+    if (typeof start !== 'object') {
+        return Array.prototype.slice.call(args, 0, 7);
+    }
+    if (start.length === undefined) {
+        start = [start.x, start.y, start.z];
+    }
+    if (Goal.isSet(end)) {
+        if (!goals) {
+            throw new Error('This finder only searches for a single end point');
+        }
+        return [start[0], start[1], start[2], end, undefined, undefined, args[2]];
+    }
+    if (end.length === undefined) {
+        end = [end.x, end.y, end.z];
+    }
+    return [start[0], start[1], start[2], end[0], end[1], end[2], args[2]];
+}
+exports.endpointArguments = endpointArguments;
+
 /**
  * Compute the length of the path.
  * @param {Array.<Array.<number>>} path The path
@@ -48,18 +374,22 @@ exports.pathLength = pathLength;
 
 /**
  * Given the start and end coordinates, return all the coordinates lying
- * on the line formed by these coordinates, based on Bresenham's algorithm.
- * http://en.wikipedia.org/wiki/Bresenham's_line_algorithm#Simplification
+ * on the line formed by these coordinates, based on Bresenham's algorithm
+ * extended to three dimensions: the axis moving the furthest steps every
+ * time, the others whenever their error term runs out.
+ * http://en.wikipedia.org/wiki/Bresenham's_line_algorithm
  * @param {number} x0 Start x coordinate
  * @param {number} y0 Start y coordinate
+ * @param {number} z0 Start z coordinate
  * @param {number} x1 End x coordinate
  * @param {number} y1 End y coordinate
+ * @param {number} z1 End z coordinate
  * @return {Array.<Array.<number>>} The coordinates on the line
  */
 function interpolate(x0, y0, z0, x1, y1, z1) {
     var abs = Math.abs,
         line = [],
-        sx, sy, sz, dx, dy, err, e2;
+        dx, dy, dz, sx, sy, sz, ex, ey, ez, n, i;
 
     dx = abs(x1 - x0);
     dy = abs(y1 - y0);
@@ -69,29 +399,29 @@ function interpolate(x0, y0, z0, x1, y1, z1) {
     sy = (y0 < y1) ? 1 : -1;
     sz = (z0 < z1) ? 1 : -1;
 
-    err = dx - dy - sz;
+    n = Math.max(dx, dy, dz);
+    ex = ey = ez = n >> 1;
 
-    while (true) {
+    for (i = 0; i < n; ++i) {
         line.push([x0, y0, z0]);
 
-        if (x0 === x1 && y0 === y1 && z0 === z1) {
-            break;
+        ex -= dx;
+        if (ex < 0) {
+            ex += n;
+            x0 += sx;
         }
-        
-        e2 = 2 * err;
-        if (e2 > -dy) {
-            err = err - dy;
-            x0 = x0 + sx;
+        ey -= dy;
+        if (ey < 0) {
+            ey += n;
+            y0 += sy;
         }
-        if (e2 < dx) {
-            err = err + dx;
-            y0 = y0 + sy;
-        }
-        if (e2 < dz) {
-            err = err + dz;
-            z0 = z0 + sz;
+        ez -= dz;
+        if (ez < 0) {
+            ez += n;
+            z0 += sz;
         }
     }
+    line.push([x0, y0, z0]);
 
     return line;
 }
@@ -134,60 +464,218 @@ exports.expandPath = expandPath;
 
 
 /**
- * Smoothen the give path.
+ * Given the start and end voxels, return every voxel the straight line
+ * between their centres passes through, in order, based on the voxel
+ * traversal of Amanatides and Woo, "A Fast Voxel Traversal Algorithm for
+ * Ray Tracing", 1987. Where the line passes exactly through an edge or
+ * a corner, the voxels on either side of it are skipped, and the next one
+ * differs along more than one axis.
+ * The crossings are compared in integers, so that the result is exact.
+ * @param {number} x0 Start x coordinate
+ * @param {number} y0 Start y coordinate
+ * @param {number} z0 Start z coordinate
+ * @param {number} x1 End x coordinate
+ * @param {number} y1 End y coordinate
+ * @param {number} z1 End z coordinate
+ * @return {Array.<Array.<number>>} The voxels passed through
+ */
+function traverse(x0, y0, z0, x1, y1, z1) {
+    var abs = Math.abs,
+        line = [[x0, y0, z0]],
+        dx = abs(x1 - x0), dy = abs(y1 - y0), dz = abs(z1 - z0),
+        sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1, sz = z0 < z1 ? 1 : -1,
+        // the i-th crossing along an axis moving d voxels is at
+        // (2i + 1) / 2d of the way, so at (2i + 1) * (span / d) / 2span
+        span = (dx || 1) * (dy || 1) * (dz || 1),
+        tx = dx ? span / dx : Infinity,
+        ty = dy ? span / dy : Infinity,
+        tz = dz ? span / dz : Infinity,
+        nx = tx, ny = ty, nz = tz,
+        t;
+
+    while (x0 !== x1 || y0 !== y1 || z0 !== z1) {
+        t = Math.min(nx, ny, nz);
+        if (nx === t) {
+            x0 += sx;
+            nx += 2 * tx;
+        }
+        if (ny === t) {
+            y0 += sy;
+            ny += 2 * ty;
+        }
+        if (nz === t) {
+            z0 += sz;
+            nz += 2 * tz;
+        }
+        line.push([x0, y0, z0]);
+    }
+
+    return line;
+}
+exports.traverse = traverse;
+
+
+/**
+ * Find the voxels an agent passes through moving straight from one
+ * position to another, if it can.
+ * A walking agent follows the line between the two columns (see traverse),
+ * rising and dropping with the ground; a flying one follows the line
+ * between the two voxels. Either way, every move from one voxel to the
+ * next has to be one the agent can make (see Grid#getNeighbors): onto
+ * something to stand on, with room for its body, no higher than it can
+ * step or jump and no lower than it can fall, and diagonal only where the
+ * options allow. Without diagonal moves, the agent passes a corner the line
+ * goes through by a voxel beside it.
+ * @param {Grid} grid
+ * @param {Array.<number>} from The position to start from, as [x, y, z]
+ * @param {Array.<number>} to The position to reach, as [x, y, z]
+ * @param {Agent} [agent] The agent moving
+ * @param {object} [opt] The options of the finder the agent moves by:
+ *     allowDiagonal and dontCrossCorners (without them, diagonal moves
+ *     are allowed, but not across corners)
+ * @param {NodeStore} [nodes] A store to work on, cleared first, to save
+ *     acquiring one from the grid on every call
+ * @return {Array.<Array.<number>>} The voxels passed through, including
+ *     both positions, or null if the agent can't move straight there
+ */
+function walkLine(grid, from, to, agent, opt, nodes) {
+    var fly = agent && agent.fly,
+        line = fly ?
+            traverse(from[0], from[1], from[2], to[0], to[1], to[2]) :
+            traverse(from[0], from[1], 0, to[0], to[1], 0),
+        allowDiagonal = opt ? opt.allowDiagonal : true,
+        dontCrossCorners = opt ? opt.dontCrossCorners : true,
+        own = !nodes,
+        node, walked, steps, i, j;
+
+    // the neighbor of a node at a voxel of the line: flying, that voxel;
+    // walking, in its column, keeping as level as the ground allows
+    function step(node, voxel) {
+        var neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners, agent, nodes),
+            next = null,
+            k;
+        for (k = 0; k < neighbors.length; ++k) {
+            if (neighbors[k].x !== voxel[0] || neighbors[k].y !== voxel[1]) {
+                continue;
+            }
+            if (fly ? neighbors[k].z === voxel[2] :
+                    !next || Math.abs(neighbors[k].z - node.z) < Math.abs(next.z - node.z)) {
+                next = neighbors[k];
+            }
+        }
+        return next;
+    }
+
+    // the nodes reaching the next voxel of the line: in a single move, or
+    // without diagonal moves, an axis at a time, in whichever order the
+    // agent can move along
+    function advance(node, voxel) {
+        var at = [node.x, node.y, fly ? node.z : 0],
+            axes = [0, 1, 2].filter(function(axis) {
+                return voxel[axis] !== at[axis];
+            }),
+            orders, reached, next, pos, k, l;
+
+        if (allowDiagonal || axes.length < 2) {
+            next = step(node, voxel);
+            return next ? [next] : null;
+        }
+        orders = orderings(axes);
+        for (k = 0; k < orders.length; ++k) {
+            reached = [];
+            next = node;
+            pos = at.slice();
+            for (l = 0; l < orders[k].length && next; ++l) {
+                pos[orders[k][l]] = voxel[orders[k][l]];
+                next = step(next, pos);
+                reached.push(next);
+            }
+            if (next) {
+                return reached;
+            }
+        }
+        return null;
+    }
+
+    if (own) {
+        nodes = grid.acquireNodes();
+    } else {
+        nodes.clear();
+    }
+    node = nodes.get(from[0], from[1], from[2]);
+    walked = [[node.x, node.y, node.z]];
+
+    for (i = 1; i < line.length && node; ++i) {
+        steps = advance(node, line[i]);
+        node = steps && steps[steps.length - 1];
+        for (j = 0; steps && j < steps.length; ++j) {
+            walked.push([steps[j].x, steps[j].y, steps[j].z]);
+        }
+    }
+    if (own) {
+        grid.releaseNodes(nodes);
+    }
+
+    if (!node || node.z !== to[2]) {
+        return null;
+    }
+    return walked;
+}
+exports.walkLine = walkLine;
+
+
+/**
+ * Get every order of the given items.
+ */
+function orderings(items) {
+    var orders = [];
+    items.forEach(function(item, i) {
+        var rest = items.slice(0, i).concat(items.slice(i + 1));
+        (rest.length ? orderings(rest) : [[]]).forEach(function(order) {
+            orders.push([item].concat(order));
+        });
+    });
+    return orders;
+}
+
+
+/**
+ * Smoothen the given path, cutting straight across wherever the agent can
+ * move in a straight line between two of its positions (see walkLine).
  * The original path will not be modified; a new path will be returned.
  * @param {PF.Grid} grid
  * @param {Array.<Array.<number>>} path The path
+ * @param {Agent} [agent] The agent following the path (defaults to the
+ *     default agent).
+ * @param {object} [opt] The options of the finder the path was found
+ *     with: allowDiagonal and dontCrossCorners (see walkLine)
+ * @return {Array.<Array.<number>>} The smoothened path, each of whose
+ *     positions the agent can walk straight to from the one before
  */
-function smoothenPath(grid, path) {
+function smoothenPath(grid, path, agent, opt) {
     var len = path.length,
-        x0 = path[0][0],        // path start x
-        y0 = path[0][1],        // path start y
-        z0 = path[0][2],        // path start z
-        x1 = path[len - 1][0],  // path end x
-        y1 = path[len - 1][1],  // path end y
-        z1 = path[len - 1][2],  // path end z
-        sx, sy, sz,             // current start coordinate
-        ex, ey, ez,             // current end coordinate
-        lx, ly, lz,             // last valid end coordinate
-        newPath,
-        i, j, coord, line, testCoord, blocked;
-
-    sx = x0;
-    sy = y0;
-    sz = z0;
-    lx = path[1][0];
-    ly = path[1][1];
-    lz = path[1][2];
-    newPath = [[sx, sy, sz]];
+        anchor, last, newPath, nodes, i;
 
+    if (len < 3) {
+        return path.slice();
+    }
+    agent = agent || new Agent();
+    nodes = grid.acquireNodes();
+
+    // the last position reached from the anchor is the one before the
+    // current, which follows it on the path, so can always be reached
+    anchor = path[0];
+    last = path[1];
+    newPath = [anchor];
     for (i = 2; i < len; ++i) {
-        coord = path[i];
-        ex = coord[0];
-        ey = coord[1];
-        ez = coord[2];
-        line = interpolate(sx, sy, sz, ex, ey, ez);
-
-        blocked = false;
-        for (j = 1; j < line.length; ++j) {
-            testCoord = line[j];
-
-            if (!grid.isWalkableAt(testCoord[0], testCoord[1], testCoord[2])) {
-                blocked = true;
-                newPath.push([lx, ly, lz]);
-                sx = lx;
-                sy = ly;
-                sz = lz;
-                break;
-            }
-        }
-        if (!blocked) {
-            lx = ex;
-            ly = ey;
-            lz = ez;
+        if (!walkLine(grid, anchor, path[i], agent, opt, nodes)) {
+            newPath.push(last);
+            anchor = last;
         }
+        last = path[i];
     }
-    newPath.push([x1, y1, z1]);
+    newPath.push(path[len - 1]);
+    grid.releaseNodes(nodes);
 
     return newPath;
 }
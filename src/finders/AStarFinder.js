@@ -1,6 +1,8 @@
 var Heap       = require('heap');
 var Util       = require('../core/Util');
 var Heuristic  = require('../core/Heuristic');
+var Agent      = require('../core/Agent');
+var Search     = require('../core/Search');
 
 /**
  * A* path-finder.
@@ -13,6 +15,31 @@ var Heuristic  = require('../core/Heuristic');
  *     (defaults to manhattan).
  * @param {integer} opt.weight Weight to apply to the heuristic to allow for suboptimal paths, 
  *     in order to speed up the search.
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.width Footprint of the agent along x and y, used
+ *     when opt.agent is not given.
+ * @param {number} opt.height Height of the agent, used when opt.agent is
+ *     not given.
+ * @param {number} opt.maxStepHeight Highest step up of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.maxFallHeight Deepest safe drop of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.jumpHeight Highest jump of the agent, used when
+ *     opt.agent is not given.
+ * @param {boolean} opt.fly Whether the agent flies or swims in all three
+ *     dimensions, used when opt.agent is not given.
+ * @param {object} opt.costs Movement cost multiplier of each voxel id,
+ *     used when opt.agent is not given.
+ * @param {number} opt.climbCost Extra cost per level risen, used when
+ *     opt.agent is not given.
+ * @param {number} opt.descendCost Extra cost per level dropped, used when
+ *     opt.agent is not given.
  */
 function AStarFinder(opt) {
     opt = opt || {};
@@ -20,84 +47,144 @@ function AStarFinder(opt) {
     this.dontCrossCorners = opt.dontCrossCorners;
     this.heuristic = opt.heuristic || Heuristic.manhattan;
     this.weight = opt.weight || 1;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
 }
 
 /**
  * Find and return the the path.
- * @return {Array.<[number, number]>} The path, including both start and
- *     end positions.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid. The end may also be a list
+ * of points or a predicate `function(x, y, z)`, to find the path to the
+ * cheapest goal to reach (see PF.Goal).
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status). A search running out of budget returns the path to
+ *     the node closest to the goal.
  */
-AStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
-    var openList = new Heap(function(nodeA, nodeB) {
-            return nodeA.f - nodeB.f;
-        }),
-        startNode = grid.getNodeAt(startX, startY),
-        endNode = grid.getNodeAt(endX, endY),
-        heuristic = this.heuristic,
-        allowDiagonal = this.allowDiagonal,
-        dontCrossCorners = this.dontCrossCorners,
-        weight = this.weight,
-        abs = Math.abs, SQRT2 = Math.SQRT2,
-        node, neighbors, neighbor, i, l, x, y, ng;
+AStarFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    return this.createSearch.apply(this, arguments).run();
+};
+
+/**
+ * Start a search to be carried on a few nodes at a time by its `step`,
+ * taking the same arguments as findPath.
+ * @return {Search}
+ */
+AStarFinder.prototype.createSearch = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.createSearch.apply(this, Util.endpointArguments(arguments, true));
+    }
+    return new Search(this, startX, startY, startZ, endX, endY, endZ, grid);
+};
+
+/**
+ * Set up the open list of a search, holding the start node.
+ * @protected
+ * @param {Search} search
+ */
+AStarFinder.prototype._startSearch = function(search) {
+    var startNode = search.startNode;
+
+    search.openList = new Heap(function(nodeA, nodeB) {
+        return nodeA.f - nodeB.f;
+    });
 
     // set the `g` and `f` value of the start node to be 0
     startNode.g = 0;
     startNode.f = 0;
 
     // push the start node into the open list
-    openList.push(startNode);
+    search.openList.push(startNode);
     startNode.opened = true;
+    search.budget.open(startNode, 1);
+};
+
+/**
+ * Expand the next node of a search, ending it if that reaches a goal or
+ * there is nothing left to expand.
+ * @protected
+ * @param {Search} search
+ */
+AStarFinder.prototype._stepSearch = function(search) {
+    var openList = search.openList,
+        grid = search.grid,
+        nodes = search.nodes,
+        goal = search.goal,
+        budget = search.budget,
+        heuristic = this.heuristic,
+        allowDiagonal = this.allowDiagonal,
+        dontCrossCorners = this.dontCrossCorners,
+        agent = this.agent,
+        weight = this.weight,
+        node, neighbors, neighbor, i, l, x, y, z, ng;
+
+    // fail to find the path once the open list is empty
+    if (openList.empty()) {
+        search.fail();
+        return;
+    }
+
+    // pop the position of node which has the minimum `f` value.
+    node = openList.pop();
+    node.closed = true;
+    budget.close(node);
 
-    // while the open list is not empty
-    while (!openList.empty()) {
-        // pop the position of node which has the minimum `f` value.
-        node = openList.pop();
-        node.closed = true;
+    // if reached a goal, construct the path and return it
+    if (goal.contains(node.x, node.y, node.z)) {
+        search.finish(Util.backtrace(node, agent));
+        return;
+    }
 
-        // if reached the end position, construct the path and return it
-        if (node === endNode) {
-            return Util.backtrace(endNode);
+    if (!budget.expand(node)) {
+        search.fail();
+        return;
+    }
+
+    // get neigbours of the current node
+    neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners, agent, nodes);
+    for (i = 0, l = neighbors.length; i < l; ++i) {
+        neighbor = neighbors[i];
+
+        if (neighbor.closed) {
+            continue;
         }
 
-        // get neigbours of the current node
-        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners);
-        for (i = 0, l = neighbors.length; i < l; ++i) {
-            neighbor = neighbors[i];
+        x = neighbor.x;
+        y = neighbor.y;
+        z = neighbor.z;
 
-            if (neighbor.closed) {
-                continue;
-            }
+        // get the cost of moving from the current node to the neighbor
+        // and calculate the next g score
+        ng = node.g + grid.getMoveCost(node, neighbor, agent);
+        if (!budget.allows(ng)) {
+            continue;
+        }
 
-            x = neighbor.x;
-            y = neighbor.y;
-
-            // get the distance between current node and the neighbor
-            // and calculate the next g score
-            ng = node.g + ((x - node.x === 0 || y - node.y === 0) ? 1 : SQRT2);
-
-            // check if the neighbor has not been inspected yet, or
-            // can be reached with smaller cost from the current node
-            if (!neighbor.opened || ng < neighbor.g) {
-                neighbor.g = ng;
-                neighbor.h = neighbor.h || weight * heuristic(abs(x - endX), abs(y - endY));
-                neighbor.f = neighbor.g + neighbor.h;
-                neighbor.parent = node;
-
-                if (!neighbor.opened) {
-                    openList.push(neighbor);
-                    neighbor.opened = true;
-                } else {
-                    // the neighbor can be reached with smaller cost.
-                    // Since its f value has been updated, we have to
-                    // update its position in the open list
-                    openList.updateItem(neighbor);
-                }
-            }
-        } // end for each neighbor
-    } // end while not open list empty
+        // check if the neighbor has not been inspected yet, or
+        // can be reached with smaller cost from the current node
+        if (!neighbor.opened || ng < neighbor.g) {
+            neighbor.g = ng;
+            neighbor.h = neighbor.h || weight * goal.estimate(heuristic, x, y, z);
+            neighbor.f = neighbor.g + neighbor.h;
+            neighbor.parent = node;
 
-    // fail to find the path
-    return [];
+            if (!neighbor.opened) {
+                openList.push(neighbor);
+                neighbor.opened = true;
+                budget.open(neighbor, openList.size());
+            } else {
+                // the neighbor can be reached with smaller cost.
+                // Since its f value has been updated, we have to
+                // update its position in the open list
+                openList.updateItem(neighbor);
+                budget.reopen(neighbor, openList.size());
+            }
+        }
+    } // end for each neighbor
 };
 
 module.exports = AStarFinder;
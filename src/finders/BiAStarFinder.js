@@ -1,6 +1,8 @@
 var Heap       = require('heap');
 var Util       = require('../core/Util');
 var Heuristic  = require('../core/Heuristic');
+var Agent      = require('../core/Agent');
+var Budget     = require('../core/Budget');
 
 /**
  * A* path-finder.
@@ -13,6 +15,31 @@ var Heuristic  = require('../core/Heuristic');
  *     (defaults to manhattan).
  * @param {integer} opt.weight Weight to apply to the heuristic to allow for suboptimal paths, 
  *     in order to speed up the search.
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.width Footprint of the agent along x and y, used
+ *     when opt.agent is not given.
+ * @param {number} opt.height Height of the agent, used when opt.agent is
+ *     not given.
+ * @param {number} opt.maxStepHeight Highest step up of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.maxFallHeight Deepest safe drop of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.jumpHeight Highest jump of the agent, used when
+ *     opt.agent is not given.
+ * @param {boolean} opt.fly Whether the agent flies or swims in all three
+ *     dimensions, used when opt.agent is not given.
+ * @param {object} opt.costs Movement cost multiplier of each voxel id,
+ *     used when opt.agent is not given.
+ * @param {number} opt.climbCost Extra cost per level risen, used when
+ *     opt.agent is not given.
+ * @param {number} opt.descendCost Extra cost per level dropped, used when
+ *     opt.agent is not given.
  */
 function BiAStarFinder(opt) {
     opt = opt || {};
@@ -20,27 +47,43 @@ function BiAStarFinder(opt) {
     this.dontCrossCorners = opt.dontCrossCorners;
     this.heuristic = opt.heuristic || Heuristic.manhattan;
     this.weight = opt.weight || 1;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
 }
 
 /**
  * Find and return the the path.
- * @return {Array.<[number, number]>} The path, including both start and
- *     end positions.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid.
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status). A search running out of budget returns the path
+ *     from the start to the node of its half closest to the goal.
  */
-BiAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
+BiAStarFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments));
+    }
+
     var cmp = function(nodeA, nodeB) {
             return nodeA.f - nodeB.f;
         },
         startOpenList = new Heap(cmp),
         endOpenList = new Heap(cmp),
-        startNode = grid.getNodeAt(startX, startY),
-        endNode = grid.getNodeAt(endX, endY),
+        nodes = grid.acquireNodes(),
+        startNode = nodes.get(startX, startY, startZ),
+        endNode = nodes.get(endX, endY, endZ),
+        budget = new Budget(this, endX, endY, endZ),
         heuristic = this.heuristic,
         allowDiagonal = this.allowDiagonal,
         dontCrossCorners = this.dontCrossCorners,
+        agent = this.agent,
         weight = this.weight,
-        abs = Math.abs, SQRT2 = Math.SQRT2,
-        node, neighbors, neighbor, i, l, x, y, ng,
+        abs = Math.abs,
+        node, neighbors, neighbor, i, l, x, y, z, ng, cost, path,
         BY_START = 1, BY_END = 2;
 
     // set the `g` and `f` value of the start node to be 0
@@ -49,6 +92,7 @@ BiAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
     startNode.f = 0;
     startOpenList.push(startNode);
     startNode.opened = BY_START;
+    budget.open(startNode, 1);
 
     // set the `g` and `f` value of the end node to be 0
     // and push it into the open open list
@@ -56,6 +100,7 @@ BiAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
     endNode.f = 0;
     endOpenList.push(endNode);
     endNode.opened = BY_END;
+    budget.open(endNode, 2);
 
     // while both the open lists are not empty
     while (!startOpenList.empty() && !endOpenList.empty()) {
@@ -63,42 +108,59 @@ BiAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
         // pop the position of start node which has the minimum `f` value.
         node = startOpenList.pop();
         node.closed = true;
+        budget.close(node);
+
+        if (!budget.expand(node)) {
+            break;
+        }
 
         // get neigbours of the current node
-        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners);
+        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners, agent, nodes);
         for (i = 0, l = neighbors.length; i < l; ++i) {
             neighbor = neighbors[i];
 
             if (neighbor.closed) {
                 continue;
             }
+            cost = grid.getMoveCost(node, neighbor, agent);
             if (neighbor.opened === BY_END) {
-                return Util.biBacktrace(node, neighbor);
+                if (!budget.allows(node.g + cost + neighbor.g)) {
+                    continue;
+                }
+                path = budget.found(Util.biBacktrace(node, neighbor, agent));
+                grid.releaseNodes(nodes);
+                return path;
             }
 
             x = neighbor.x;
             y = neighbor.y;
+            z = neighbor.z;
 
-            // get the distance between current node and the neighbor
+            // get the cost of moving from the current node to the neighbor
             // and calculate the next g score
-            ng = node.g + ((x - node.x === 0 || y - node.y === 0) ? 1 : SQRT2);
+            ng = node.g + cost;
+            if (!budget.allows(ng)) {
+                continue;
+            }
 
             // check if the neighbor has not been inspected yet, or
             // can be reached with smaller cost from the current node
             if (!neighbor.opened || ng < neighbor.g) {
                 neighbor.g = ng;
-                neighbor.h = neighbor.h || weight * heuristic(abs(x - endX), abs(y - endY));
+                neighbor.h = neighbor.h || weight * heuristic(abs(x - endX), abs(y - endY), abs(z - endZ), endZ - z);
                 neighbor.f = neighbor.g + neighbor.h;
                 neighbor.parent = node;
 
                 if (!neighbor.opened) {
                     startOpenList.push(neighbor);
                     neighbor.opened = BY_START;
+                    budget.open(neighbor, startOpenList.size() + endOpenList.size());
                 } else {
                     // the neighbor can be reached with smaller cost.
                     // Since its f value has been updated, we have to
                     // update its position in the open list
                     startOpenList.updateItem(neighbor);
+                    budget.reopen(neighbor, startOpenList.size() + endOpenList.size());
                 }
             }
         } // end for each neighbor
@@ -107,49 +169,69 @@ BiAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
         // pop the position of end node which has the minimum `f` value.
         node = endOpenList.pop();
         node.closed = true;
+        budget.close(node);
 
-        // get neigbours of the current node
-        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners);
+        if (!budget.spend(node)) {
+            break;
+        }
+
+        // get the nodes moving to the current node, as this side
+        // searches backwards
+        neighbors = grid.getPredecessors(node, allowDiagonal, dontCrossCorners, agent, nodes);
         for (i = 0, l = neighbors.length; i < l; ++i) {
             neighbor = neighbors[i];
 
             if (neighbor.closed) {
                 continue;
             }
+            cost = grid.getMoveCost(neighbor, node, agent);
             if (neighbor.opened === BY_START) {
-                return Util.biBacktrace(neighbor, node);
+                if (!budget.allows(neighbor.g + cost + node.g)) {
+                    continue;
+                }
+                path = budget.found(Util.biBacktrace(neighbor, node, agent));
+                grid.releaseNodes(nodes);
+                return path;
             }
 
             x = neighbor.x;
             y = neighbor.y;
+            z = neighbor.z;
 
-            // get the distance between current node and the neighbor
-            // and calculate the next g score
-            ng = node.g + ((x - node.x === 0 || y - node.y === 0) ? 1 : SQRT2);
+            // get the cost of moving from the neighbor to the current node,
+            // as this side searches backwards, and calculate the next g score
+            ng = node.g + cost;
+            if (!budget.allows(ng)) {
+                continue;
+            }
 
             // check if the neighbor has not been inspected yet, or
             // can be reached with smaller cost from the current node
             if (!neighbor.opened || ng < neighbor.g) {
                 neighbor.g = ng;
-                neighbor.h = neighbor.h || weight * heuristic(abs(x - startX), abs(y - startY));
+                neighbor.h = neighbor.h || weight * heuristic(abs(x - startX), abs(y - startY), abs(z - startZ), z - startZ);
                 neighbor.f = neighbor.g + neighbor.h;
                 neighbor.parent = node;
 
                 if (!neighbor.opened) {
                     endOpenList.push(neighbor);
                     neighbor.opened = BY_END;
+                    budget.open(neighbor, startOpenList.size() + endOpenList.size());
                 } else {
                     // the neighbor can be reached with smaller cost.
                     // Since its f value has been updated, we have to
                     // update its position in the open list
                     endOpenList.updateItem(neighbor);
+                    budget.reopen(neighbor, startOpenList.size() + endOpenList.size());
                 }
             }
         } // end for each neighbor
     } // end while not open list empty
 
     // fail to find the path
-    return [];
+    path = budget.failed();
+    grid.releaseNodes(nodes);
+    return path;
 };
 
 module.exports = BiAStarFinder;
@@ -14,8 +14,8 @@ function BiBestFirstFinder(opt) {
     BiAStarFinder.call(this, opt);
 
     var orig = this.heuristic;
-    this.heuristic = function(dx, dy) {
-        return orig(dx, dy) * 1000000;
+    this.heuristic = function(dx, dy, dz, rise) {
+        return orig(dx, dy, dz, rise) * 1000000;
     };
 }
 
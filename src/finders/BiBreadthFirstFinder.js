@@ -1,4 +1,6 @@
 var Util = require('../core/Util');
+var Agent = require('../core/Agent');
+var Budget = require('../core/Budget');
 
 /**
  * Bi-directional Breadth-First-Search path finder.
@@ -6,37 +8,75 @@ var Util = require('../core/Util');
  * @param {object} opt
  * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
  * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.width Footprint of the agent along x and y, used
+ *     when opt.agent is not given.
+ * @param {number} opt.height Height of the agent, used when opt.agent is
+ *     not given.
+ * @param {number} opt.maxStepHeight Highest step up of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.maxFallHeight Deepest safe drop of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.jumpHeight Highest jump of the agent, used when
+ *     opt.agent is not given.
+ * @param {boolean} opt.fly Whether the agent flies or swims in all three
+ *     dimensions, used when opt.agent is not given.
  */
 function BiBreadthFirstFinder(opt) {
     opt = opt || {};
     this.allowDiagonal = opt.allowDiagonal;
     this.dontCrossCorners = opt.dontCrossCorners;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
 }
 
 
 /**
  * Find and return the the path.
- * @return {Array.<[number, number]>} The path, including both start and
- *     end positions.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid.
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status).
  */
-BiBreadthFirstFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
-    var startNode = grid.getNodeAt(startX, startY),
-        endNode = grid.getNodeAt(endX, endY),
+BiBreadthFirstFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments));
+    }
+
+    var nodes = grid.acquireNodes(),
+        startNode = nodes.get(startX, startY, startZ),
+        endNode = nodes.get(endX, endY, endZ),
+        budget = new Budget(this, endX, endY, endZ),
         startOpenList = [], endOpenList = [],
-        neighbors, neighbor, node,
+        neighbors, neighbor, node, path, cost,
         allowDiagonal = this.allowDiagonal,
         dontCrossCorners = this.dontCrossCorners,
+        agent = this.agent,
         BY_START = 0, BY_END = 1,
         i, l;
 
     // push the start and end nodes into the queues
+    startNode.g = 0;
     startOpenList.push(startNode);
     startNode.opened = true;
     startNode.by = BY_START;
+    budget.open(startNode, 1);
 
+    endNode.g = 0;
     endOpenList.push(endNode);
     endNode.opened = true;
     endNode.by = BY_END;
+    budget.open(endNode, 2);
 
     // while both the queues are not empty
     while (startOpenList.length && endOpenList.length) {
@@ -45,55 +85,85 @@ BiBreadthFirstFinder.prototype.findPath = function(startX, startY, endX, endY, g
 
         node = startOpenList.shift();
         node.closed = true;
+        budget.close(node);
 
-        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners);
+        if (!budget.expand(node)) {
+            break;
+        }
+
+        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners, agent, nodes);
         for (i = 0, l = neighbors.length; i < l; ++i) {
             neighbor = neighbors[i];
 
             if (neighbor.closed) {
                 continue;
             }
+            // keep the cost of the path so far, for the budget
+            cost = node.g + grid.getMoveCost(node, neighbor, agent);
             if (neighbor.opened) {
                 // if this node has been inspected by the reversed search,
                 // then a path is found.
-                if (neighbor.by === BY_END) {
-                    return Util.biBacktrace(node, neighbor);
+                if (neighbor.by === BY_END && budget.allows(cost + neighbor.g)) {
+                    path = budget.found(Util.biBacktrace(node, neighbor, agent));
+                    grid.releaseNodes(nodes);
+                    return path;
                 }
                 continue;
             }
+            if (!budget.allows(cost)) {
+                continue;
+            }
+            neighbor.g = cost;
             startOpenList.push(neighbor);
             neighbor.parent = node;
             neighbor.opened = true;
             neighbor.by = BY_START;
+            budget.open(neighbor, startOpenList.length + endOpenList.length);
         }
 
         // expand end open list
 
         node = endOpenList.shift();
         node.closed = true;
+        budget.close(node);
+
+        if (!budget.spend(node)) {
+            break;
+        }
 
-        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners);
+        // this side searches backwards, through the nodes moving here
+        neighbors = grid.getPredecessors(node, allowDiagonal, dontCrossCorners, agent, nodes);
         for (i = 0, l = neighbors.length; i < l; ++i) {
             neighbor = neighbors[i];
 
             if (neighbor.closed) {
                 continue;
             }
+            cost = node.g + grid.getMoveCost(neighbor, node, agent);
             if (neighbor.opened) {
-                if (neighbor.by === BY_START) {
-                    return Util.biBacktrace(neighbor, node);
+                if (neighbor.by === BY_START && budget.allows(cost + neighbor.g)) {
+                    path = budget.found(Util.biBacktrace(neighbor, node, agent));
+                    grid.releaseNodes(nodes);
+                    return path;
                 }
                 continue;
             }
+            if (!budget.allows(cost)) {
+                continue;
+            }
+            neighbor.g = cost;
             endOpenList.push(neighbor);
             neighbor.parent = node;
             neighbor.opened = true;
             neighbor.by = BY_END;
+            budget.open(neighbor, startOpenList.length + endOpenList.length);
         }
     }
 
     // fail to find the path
-    return [];
+    path = budget.failed();
+    grid.releaseNodes(nodes);
+    return path;
 };
 
 module.exports = BiBreadthFirstFinder;
@@ -1,4 +1,5 @@
 var BiAStarFinder = require('./BiAStarFinder');
+var Heuristic = require('../core/Heuristic');
 
 /**
  * Bi-directional Dijkstra path-finder.
@@ -7,12 +8,12 @@ var BiAStarFinder = require('./BiAStarFinder');
  * @param {object} opt
  * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
  * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {Agent} opt.agent The agent to find paths for, including its
+ *     movement costs.
  */
 function BiDijkstraFinder(opt) {
     BiAStarFinder.call(this, opt);
-    this.heuristic = function(dx, dy) {
-        return 0;
-    };
+    this.heuristic = Heuristic.zero;
 }
 
 BiDijkstraFinder.prototype = new BiAStarFinder();
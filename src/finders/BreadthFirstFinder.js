@@ -1,4 +1,8 @@
 var Util = require('../core/Util');
+var Agent = require('../core/Agent');
+var Goal = require('../core/Goal');
+var FlowField = require('../core/FlowField');
+var Budget = require('../core/Budget');
 
 /**
  * Breadth-First-Search path finder.
@@ -6,42 +10,86 @@ var Util = require('../core/Util');
  * @param {object} opt
  * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
  * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.width Footprint of the agent along x and y, used
+ *     when opt.agent is not given.
+ * @param {number} opt.height Height of the agent, used when opt.agent is
+ *     not given.
+ * @param {number} opt.maxStepHeight Highest step up of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.maxFallHeight Deepest safe drop of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.jumpHeight Highest jump of the agent, used when
+ *     opt.agent is not given.
+ * @param {boolean} opt.fly Whether the agent flies or swims in all three
+ *     dimensions, used when opt.agent is not given.
  */
 function BreadthFirstFinder(opt) {
     opt = opt || {};
     this.allowDiagonal = opt.allowDiagonal;
     this.dontCrossCorners = opt.dontCrossCorners;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
 }
 
 /**
  * Find and return the the path.
- * @return {Array.<[number, number]>} The path, including both start and
- *     end positions.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid. The end may also be a list
+ * of points or a predicate `function(x, y, z)`, to find the path to the
+ * goal fewest moves away (see PF.Goal).
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status).
  */
-BreadthFirstFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
+BreadthFirstFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments, true));
+    }
+
     var openList = [],
         allowDiagonal = this.allowDiagonal,
         dontCrossCorners = this.dontCrossCorners,
-        startNode = grid.getNodeAt(startX, startY),
-        endNode = grid.getNodeAt(endX, endY),
-        neighbors, neighbor, node, i, l;
+        agent = this.agent,
+        nodes = grid.acquireNodes(),
+        startNode = nodes.get(startX, startY, startZ),
+        goal = new Goal(endX, endY, endZ),
+        budget = new Budget(this, endX, endY, endZ),
+        neighbors, neighbor, node, path, ng, i, l;
+
+    if (goal.contains(startX, startY, startZ)) {
+        path = budget.found(Util.backtrace(startNode, agent));
+        grid.releaseNodes(nodes);
+        return path;
+    }
 
     // push the start pos into the queue
+    startNode.g = 0;
     openList.push(startNode);
     startNode.opened = true;
+    budget.open(startNode, 1);
 
     // while the queue is not empty
     while (openList.length) {
         // take the front node from the queue
         node = openList.shift();
         node.closed = true;
+        budget.close(node);
 
-        // reached the end position
-        if (node === endNode) {
-            return Util.backtrace(endNode);
+        if (!budget.expand(node)) {
+            break;
         }
 
-        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners);
+        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners, agent, nodes);
         for (i = 0, l = neighbors.length; i < l; ++i) {
             neighbor = neighbors[i];
 
@@ -50,14 +98,53 @@ BreadthFirstFinder.prototype.findPath = function(startX, startY, endX, endY, gri
                 continue;
             }
 
+            // keep the cost of the path so far, for the budget
+            ng = node.g + grid.getMoveCost(node, neighbor, agent);
+            if (!budget.allows(ng)) {
+                continue;
+            }
+            neighbor.g = ng;
+            neighbor.parent = node;
+
+            // no goal found later can be fewer moves away, so stop as soon
+            // as one is seen
+            if (goal.contains(neighbor.x, neighbor.y, neighbor.z)) {
+                path = budget.found(Util.backtrace(neighbor, agent));
+                grid.releaseNodes(nodes);
+                return path;
+            }
+
             openList.push(neighbor);
             neighbor.opened = true;
-            neighbor.parent = node;
+            budget.open(neighbor, openList.length);
         }
     }
     
     // fail to find the path
-    return [];
+    path = budget.failed();
+    grid.releaseNodes(nodes);
+    return path;
+};
+
+/**
+ * Work out the number of moves needed to reach the given target from every
+ * voxel around it, for the agent of this finder.
+ * @param {number} x - The x coordinate of the target.
+ * @param {number} y - The y coordinate of the target.
+ * @param {number} z - The z coordinate of the target.
+ * @param {Grid} grid - The grid to search.
+ * @param {number} [radius] - Farthest distance from the target along any
+ *     axis to cover (defaults to 32).
+ * @return {FlowField}
+ */
+BreadthFirstFinder.prototype.createFlowField = function(x, y, z, grid, radius) {
+    return new FlowField(x, y, z, grid, {
+        radius: radius,
+        allowDiagonal: this.allowDiagonal,
+        dontCrossCorners: this.dontCrossCorners,
+        countMoves: true,
+        agent: this.agent
+    });
 };
 
 module.exports = BreadthFirstFinder;
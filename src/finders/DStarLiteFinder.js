@@ -0,0 +1,334 @@
+var Heap       = require('heap');
+var Util       = require('../core/Util');
+var Heuristic  = require('../core/Heuristic');
+var Agent      = require('../core/Agent');
+var Budget     = require('../core/Budget');
+
+/**
+ * D* Lite path-finder.
+ * based upon Koenig and Likhachev, "D* Lite", 2002.
+ *
+ * Searches backwards from the goal and keeps its search state between
+ * calls, so that when the agent moves on or the world changes, only the
+ * part of the search affected is repaired instead of starting over.
+ * Call `notifyVoxelChanged` whenever a voxel changes, then `findPath` again
+ * from wherever the agent stands. Asking for another goal or grid starts a
+ * new search.
+ * A search running out of budget returns just the start, cut off, and
+ * carries on where it stopped on the next call.
+ * @constructor
+ * @param {object} opt
+ * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
+ * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {function} opt.heuristic Heuristic function to estimate the distance
+ *     (defaults to the movement heuristic of the agent).
+ * @param {number} opt.maxNodes Most nodes a call may expand.
+ * @param {number} opt.maxTimeMs Longest a call may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ */
+function DStarLiteFinder(opt) {
+    opt = opt || {};
+    this.allowDiagonal = opt.allowDiagonal;
+    this.dontCrossCorners = opt.dontCrossCorners;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
+    this.heuristic = opt.heuristic || Heuristic.movement(this.agent);
+    this.grid = null;
+    this.nodes = null;
+    this.budget = null;
+    this.changes = [];
+}
+
+/**
+ * Find and return the the path, reusing the previous search when the goal
+ * and grid are the same.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid.
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status).
+ */
+DStarLiteFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments));
+    }
+
+    var budget = this.budget = new Budget(this, endX, endY, endZ),
+        start, goal, changes, bounds, path, x, y, z, i;
+
+    if (grid !== this.grid || !this.goal ||
+        this.goal.x !== endX || this.goal.y !== endY || this.goal.z !== endZ) {
+        this._initialize(startX, startY, startZ, endX, endY, endZ, grid);
+    }
+
+    start = this.start = this._get(startX, startY, startZ);
+    goal = this.goal;
+
+    // keys already queued were computed from the last start: rather than
+    // recomputing them, raise every key made from now on by how far the
+    // start has moved
+    this.km += this._estimate(this.last, start);
+    this.last = start;
+
+    changes = this.changes;
+    this.changes = [];
+    for (i = 0; i < changes.length; ++i) {
+        bounds = this.agent.getAffectedBounds(changes[i][0], changes[i][1], changes[i][2]);
+        for (z = bounds[2]; z <= bounds[5]; ++z) {
+            for (y = bounds[1]; y <= bounds[4]; ++y) {
+                for (x = bounds[0]; x <= bounds[3]; ++x) {
+                    this._updateVertex(this._get(x, y, z));
+                }
+            }
+        }
+    }
+
+    this._computeShortestPath(budget);
+    this.budget = null;
+
+    if (!budget.cutOff && start.g < Infinity && budget.allows(start.g)) {
+        path = this._extractPath(start, goal);
+        if (path.length) {
+            return budget.found(path);
+        }
+    }
+
+    budget.closest = start;
+    return budget.failed(function() {
+        path = [[start.x, start.y, start.z]];
+        path.moves = [];
+        return path;
+    });
+};
+
+/**
+ * Tell the finder a voxel has changed. The search is repaired around it on
+ * the next call to `findPath`.
+ * @param {number} x - The x coordinate of the voxel.
+ * @param {number} y - The y coordinate of the voxel.
+ * @param {number} z - The z coordinate of the voxel.
+ */
+DStarLiteFinder.prototype.notifyVoxelChanged = function(x, y, z) {
+    if (this.grid) {
+        this.changes.push([x, y, z]);
+    }
+};
+
+/**
+ * Forget the previous search and start a new one towards the given goal.
+ * @protected
+ */
+DStarLiteFinder.prototype._initialize = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (this.grid) {
+        this.grid.releaseNodes(this.nodes);
+    }
+    this.grid = grid;
+    this.nodes = grid.acquireNodes();
+    this.changes = [];
+    this.km = 0;
+    this.openList = new Heap(compareKeys);
+
+    this.goal = this._get(endX, endY, endZ);
+    this.goal.rhs = 0;
+    this.last = this._get(startX, startY, startZ);
+    this.start = this.last;
+    this._insert(this.goal);
+};
+
+/**
+ * Get the node at the given position, with no cost to the goal known yet
+ * if it is new.
+ * @protected
+ */
+DStarLiteFinder.prototype._get = function(x, y, z) {
+    var node = this.nodes.get(x, y, z);
+    if (node.rhs === undefined) {
+        node.g = Infinity;
+        node.rhs = Infinity;
+    }
+    return node;
+};
+
+/**
+ * Estimated cost of moving from one node to another.
+ * @protected
+ */
+DStarLiteFinder.prototype._estimate = function(a, b) {
+    var abs = Math.abs;
+    return this.heuristic(abs(a.x - b.x), abs(a.y - b.y), abs(a.z - b.z), b.z - a.z);
+};
+
+/**
+ * Queue a node with its current key, or move it if it is queued already.
+ * @protected
+ */
+DStarLiteFinder.prototype._insert = function(node) {
+    var g = Math.min(node.g, node.rhs);
+    node.k1 = g + this._estimate(this.start, node) + this.km;
+    node.k2 = g;
+    node.queued = true;
+    if (node.opened) {
+        this.openList.updateItem(node);
+        this.budget.reopen(node, this.openList.size());
+    } else {
+        node.opened = true;
+        this.openList.push(node);
+        this.budget.open(node, this.openList.size());
+    }
+};
+
+/**
+ * Get the queued node with the lowest key, dropping the ones that were
+ * taken off the queue since they were pushed.
+ * @protected
+ */
+DStarLiteFinder.prototype._top = function() {
+    var openList = this.openList, node;
+    while (!openList.empty()) {
+        node = openList.peek();
+        if (node.queued) {
+            return node;
+        }
+        openList.pop();
+        node.opened = false;
+    }
+    return null;
+};
+
+/**
+ * Recompute the lowest cost to the goal through the successors of a node,
+ * and queue it if that disagrees with its current cost.
+ * @protected
+ */
+DStarLiteFinder.prototype._updateVertex = function(node) {
+    var grid = this.grid,
+        agent = this.agent,
+        rhs = Infinity,
+        neighbors, neighbor, i, l;
+
+    if (node !== this.goal) {
+        if (grid.isWalkableAt(node.x, node.y, node.z, agent)) {
+            neighbors = grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners, agent, this.nodes);
+            for (i = 0, l = neighbors.length; i < l; ++i) {
+                neighbor = neighbors[i];
+                if (neighbor.rhs !== undefined && neighbor.g !== Infinity) {
+                    rhs = Math.min(rhs, grid.getMoveCost(node, neighbor, agent) + neighbor.g);
+                }
+            }
+        }
+        node.rhs = rhs;
+    }
+
+    node.queued = false;
+    if (node.g !== node.rhs) {
+        this._insert(node);
+    }
+};
+
+/**
+ * Settle nodes until the cost from the start to the goal is known, or the
+ * budget runs out.
+ * @protected
+ */
+DStarLiteFinder.prototype._computeShortestPath = function(budget) {
+    var start = this.start,
+        node, predecessors, predecessor, i;
+
+    while ((node = this._top()) &&
+           (compareKeys(node, keyOf(start, this)) < 0 || start.rhs !== start.g)) {
+        // every node left costs more to reach the goal from than allowed
+        if (!budget.spend(node) || !budget.allows(Math.min(node.g, node.rhs))) {
+            break;
+        }
+
+        // the node was queued before the start moved: requeue it
+        if (compareKeys(node, keyOf(node, this)) < 0) {
+            this._insert(node);
+            continue;
+        }
+
+        node.queued = false;
+        budget.close(node);
+        predecessors = this.grid.getPredecessors(node, this.allowDiagonal, this.dontCrossCorners, this.agent, this.nodes);
+        if (node.g > node.rhs) {
+            node.g = node.rhs;
+        } else {
+            node.g = Infinity;
+            this._updateVertex(node);
+        }
+        for (i = 0; i < predecessors.length; ++i) {
+            predecessor = predecessors[i];
+            this._updateVertex(this._get(predecessor.x, predecessor.y, predecessor.z));
+        }
+    }
+};
+
+/**
+ * Follow the cheapest successors from the start to the goal.
+ * @protected
+ */
+DStarLiteFinder.prototype._extractPath = function(start, goal) {
+    var grid = this.grid,
+        agent = this.agent,
+        path = [[start.x, start.y, start.z]],
+        node = start,
+        best, cost, neighbors, neighbor, i;
+
+    if (start.g === Infinity) {
+        // fail to find the path
+        return [];
+    }
+
+    while (node !== goal) {
+        best = null;
+        neighbors = grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners, agent, this.nodes);
+        for (i = 0; i < neighbors.length; ++i) {
+            neighbor = neighbors[i];
+            if (neighbor.rhs === undefined) {
+                continue;
+            }
+            cost = grid.getMoveCost(node, neighbor, agent) + neighbor.g;
+            if (cost < Infinity && (!best || cost < best.cost)) {
+                best = {node: neighbor, cost: cost};
+            }
+        }
+        if (!best || path.length > this.nodes.size) {
+            return [];
+        }
+        node = best.node;
+        path.push([node.x, node.y, node.z]);
+    }
+
+    path.moves = Util.pathMoves(path, agent);
+    return path;
+};
+
+/**
+ * Current key of a node, compared like the ones queued.
+ */
+function keyOf(node, finder) {
+    var g = Math.min(node.g, node.rhs);
+    return {k1: g + finder._estimate(finder.start, node) + finder.km, k2: g};
+}
+
+/**
+ * Order keys lexicographically.
+ */
+function compareKeys(a, b) {
+    if (a.k1 !== b.k1) {
+        return a.k1 < b.k1 ? -1 : 1;
+    }
+    if (a.k2 !== b.k2) {
+        return a.k2 < b.k2 ? -1 : 1;
+    }
+    return 0;
+}
+
+module.exports = DStarLiteFinder;
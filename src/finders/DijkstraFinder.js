@@ -1,4 +1,6 @@
 var AStarFinder = require('./AStarFinder');
+var Heuristic = require('../core/Heuristic');
+var FlowField = require('../core/FlowField');
 
 /**
  * Dijkstra path-finder.
@@ -7,15 +9,35 @@ var AStarFinder = require('./AStarFinder');
  * @param {object} opt
  * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
  * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {Agent} opt.agent The agent to find paths for, including its
+ *     movement costs.
  */
 function DijkstraFinder(opt) {
     AStarFinder.call(this, opt);
-    this.heuristic = function(dx, dy) {
-        return 0;
-    };
+    this.heuristic = Heuristic.zero;
 }
 
 DijkstraFinder.prototype = new AStarFinder();
 DijkstraFinder.prototype.constructor = DijkstraFinder;
 
+/**
+ * Work out the cost of reaching the given target from every voxel around
+ * it, for the agent of this finder.
+ * @param {number} x - The x coordinate of the target.
+ * @param {number} y - The y coordinate of the target.
+ * @param {number} z - The z coordinate of the target.
+ * @param {Grid} grid - The grid to search.
+ * @param {number} [radius] - Farthest distance from the target along any
+ *     axis to cover (defaults to 32).
+ * @return {FlowField}
+ */
+DijkstraFinder.prototype.createFlowField = function(x, y, z, grid, radius) {
+    return new FlowField(x, y, z, grid, {
+        radius: radius,
+        allowDiagonal: this.allowDiagonal,
+        dontCrossCorners: this.dontCrossCorners,
+        agent: this.agent
+    });
+};
+
 module.exports = DijkstraFinder;
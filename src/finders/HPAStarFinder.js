@@ -0,0 +1,532 @@
+var Heap       = require('heap');
+var Util       = require('../core/Util');
+var Heuristic  = require('../core/Heuristic');
+var Agent      = require('../core/Agent');
+var Budget     = require('../core/Budget');
+
+/**
+ * Hierarchical A* (HPA*) path-finder.
+ * based upon Botea, Müller and Schaeffer, "Near Optimal Hierarchical
+ * Path-Finding", 2004.
+ *
+ * The world is cut into cubic clusters (the grid's chunks by default).
+ * Where a cluster can be left, the walkable border crossings are grouped
+ * into entrances, each represented by its middle crossing. Together with
+ * the costs of the local paths between them, these make up an abstract
+ * graph which is searched first; its edges are then refined into the
+ * voxel path they stand for.
+ * The graph is built on first use, one cluster at a time, and kept across
+ * searches on the same grid. Call `notifyVoxelChanged` when a voxel changes
+ * so that only the clusters around it are rebuilt.
+ * Paths are near optimal: they are only as good as the entrances allow.
+ * @constructor
+ * @param {object} opt
+ * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
+ * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {function} opt.heuristic Heuristic function to estimate the distance
+ *     (defaults to the movement heuristic of the agent).
+ * @param {number} opt.clusterSize Edge length of a cluster, in voxels
+ *     (defaults to the chunk size of the grid).
+ * @param {number} opt.maxNodes Most entrances the abstract search may
+ *     expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ */
+function HPAStarFinder(opt) {
+    opt = opt || {};
+    this.allowDiagonal = opt.allowDiagonal;
+    this.dontCrossCorners = opt.dontCrossCorners;
+    this.clusterSize = opt.clusterSize;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
+    this.heuristic = opt.heuristic || Heuristic.movement(this.agent);
+    this.grid = null;
+    this.clusters = {};
+}
+
+/**
+ * Find and return the the path.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid.
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status). A search running out of budget returns the path to
+ *     the entrance closest to the goal.
+ */
+HPAStarFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments));
+    }
+
+    var openList = new Heap(function(a, b) {
+            return a.f - b.f;
+        }),
+        visited = {},
+        start = [startX, startY, startZ],
+        end = [endX, endY, endZ],
+        endCluster = this._clusterKeyOf(end, grid),
+        inCluster = this._clusterKeyOf(start, grid) === endCluster,
+        budget = new Budget(this, endX, endY, endZ),
+        toEnd, local, entry, edges, edge, key, next, ng, i, l;
+
+    this._useGrid(grid);
+
+    // stay inside a single cluster when no way out of it could be cheaper
+    if (inCluster) {
+        local = this._searchCluster(start, [end])[keyOf(end)];
+        if (local && local.cost <= this._estimate(start, end) && budget.allows(local.cost)) {
+            return budget.found(this._finish([local.path]));
+        }
+    }
+
+    // the ways to the goal from the entrances of its cluster, and from the
+    // start if it is in there too, found at once
+    toEnd = this._searchCluster(end, this._getCluster(endCluster).entrances.map(function(entrance) {
+        return entrance.from;
+    }).concat(inCluster ? [start] : []), true);
+
+    entry = {pos: start, x: startX, y: startY, z: startZ, g: 0, f: 0, parent: null, path: null};
+    visited[keyOf(start)] = entry;
+    openList.push(entry);
+    budget.open(entry, 1);
+
+    while (!openList.empty()) {
+        entry = openList.pop();
+        if (entry.closed) {
+            continue;
+        }
+        entry.closed = true;
+        budget.close(entry);
+
+        // the goal may be an entrance, reached as one
+        if (keyOf(entry.pos) === keyOf(end)) {
+            return budget.found(this._finish(this._refine(entry)));
+        }
+
+        if (!budget.expand(entry)) {
+            break;
+        }
+
+        // the start's edges are built for this search alone, so that
+        // searches from anywhere don't pile edges up in the clusters
+        edges = this._getEdges(entry.pos, !entry.parent);
+
+        // the goal is joined to whichever entrances of its cluster reach it
+        if (this._clusterKeyOf(entry.pos, grid) === endCluster) {
+            local = toEnd[keyOf(entry.pos)];
+            if (local) {
+                edges = edges.concat([{to: end, cost: local.cost, path: local.path}]);
+            }
+        }
+
+        for (i = 0, l = edges.length; i < l; ++i) {
+            edge = edges[i];
+            key = keyOf(edge.to);
+            ng = entry.g + edge.cost;
+            next = visited[key];
+
+            if (next && (next.closed || next.g <= ng)) {
+                continue;
+            }
+            if (!budget.allows(ng)) {
+                continue;
+            }
+            visited[key] = {
+                pos: edge.to,
+                x: edge.to[0],
+                y: edge.to[1],
+                z: edge.to[2],
+                g: ng,
+                f: ng + this._estimate(edge.to, end),
+                parent: entry,
+                path: edge.path
+            };
+            openList.push(visited[key]);
+            // an entrance reached more cheaply is queued again, the old
+            // entry left to be skipped
+            if (next) {
+                next.closed = true;
+                budget.reopen(visited[key], openList.size());
+            } else {
+                budget.open(visited[key], openList.size());
+            }
+        }
+    }
+
+    // fail to find the path
+    return budget.failed(function(closest) {
+        return this._finish(closest.parent ? this._refine(closest) : [[closest.pos]]);
+    }.bind(this));
+};
+
+/**
+ * Build the abstract graph for every cluster overlapping the given box, so
+ * that later searches through it do not pay for it.
+ * @param {Grid} grid
+ */
+HPAStarFinder.prototype.precompute = function(grid, x0, y0, z0, x1, y1, z1) {
+    var n, cx, cy, cz, cluster, i;
+
+    this._useGrid(grid);
+    n = this._size();
+
+    for (cz = Math.floor(z0 / n); cz <= Math.floor(z1 / n); ++cz) {
+        for (cy = Math.floor(y0 / n); cy <= Math.floor(y1 / n); ++cy) {
+            for (cx = Math.floor(x0 / n); cx <= Math.floor(x1 / n); ++cx) {
+                cluster = this._getCluster(cx + '|' + cy + '|' + cz);
+                for (i = 0; i < cluster.entrances.length; ++i) {
+                    this._getEdges(cluster.entrances[i].from);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Tell the finder a voxel has changed. Every cluster whose entrances or
+ * local paths may depend on that voxel is dropped, to be rebuilt when a
+ * search next goes through it; the rest of the graph is kept.
+ * @param {number} x - The x coordinate of the voxel.
+ * @param {number} y - The y coordinate of the voxel.
+ * @param {number} z - The z coordinate of the voxel.
+ */
+HPAStarFinder.prototype.notifyVoxelChanged = function(x, y, z) {
+    var n = this._size(),
+        bounds = this.agent.getAffectedBounds(x, y, z),
+        cx, cy, cz;
+
+    for (cz = Math.floor(bounds[2] / n); cz <= Math.floor(bounds[5] / n); ++cz) {
+        for (cy = Math.floor(bounds[1] / n); cy <= Math.floor(bounds[4] / n); ++cy) {
+            for (cx = Math.floor(bounds[0] / n); cx <= Math.floor(bounds[3] / n); ++cx) {
+                delete this.clusters[cx + '|' + cy + '|' + cz];
+            }
+        }
+    }
+};
+
+/**
+ * Start working on the given grid, forgetting the graph of any other.
+ * @protected
+ */
+HPAStarFinder.prototype._useGrid = function(grid) {
+    if (this.grid !== grid) {
+        this.grid = grid;
+        this.clusters = {};
+    }
+};
+
+/**
+ * Edge length of a cluster.
+ * @protected
+ */
+HPAStarFinder.prototype._size = function() {
+    return this.clusterSize || (this.grid && this.grid.chunkSize) || 32;
+};
+
+/**
+ * Key of the cluster containing the given position.
+ * @protected
+ */
+HPAStarFinder.prototype._clusterKeyOf = function(pos, grid) {
+    var n = this.clusterSize || grid.chunkSize;
+    return Math.floor(pos[0] / n) + '|' +
+           Math.floor(pos[1] / n) + '|' +
+           Math.floor(pos[2] / n);
+};
+
+/**
+ * Estimated cost between two positions.
+ * @protected
+ */
+HPAStarFinder.prototype._estimate = function(a, b) {
+    var abs = Math.abs;
+    return this.heuristic(abs(a[0] - b[0]), abs(a[1] - b[1]), abs(a[2] - b[2]), b[2] - a[2]);
+};
+
+/**
+ * Get the cluster with the given key, finding its entrances on first use.
+ * @protected
+ */
+HPAStarFinder.prototype._getCluster = function(key) {
+    var cluster = this.clusters[key];
+    if (!cluster) {
+        cluster = this.clusters[key] = {key: key, entrances: null, edges: {}};
+        cluster.entrances = this._findEntrances(key);
+    }
+    return cluster;
+};
+
+/**
+ * Find the entrances leading out of a cluster: every move from a node in
+ * it to a node outside it, grouped by the cluster reached and by which
+ * moves touch each other, each group kept as its middle move.
+ * @protected
+ */
+HPAStarFinder.prototype._findEntrances = function(key) {
+    var grid = this.grid,
+        agent = this.agent,
+        n = this._size(),
+        c = key.split('|').map(Number),
+        nodes = grid.acquireNodes(),
+        groups = {},
+        entrances = [],
+        x, y, z, lx, ly, lz, node, neighbors, neighbor, to, i, target, group;
+
+    for (lz = 0; lz < n; ++lz) {
+        for (ly = 0; ly < n; ++ly) {
+            for (lx = 0; lx < n; ++lx) {
+                // only the border can be left in a single move
+                if (lx > 0 && lx < n - 1 && ly > 0 && ly < n - 1 &&
+                    lz > agent.maxFallHeight && lz < n - 1 - Math.max(agent.maxStepHeight, agent.jumpHeight)) {
+                    continue;
+                }
+                x = c[0] * n + lx;
+                y = c[1] * n + ly;
+                z = c[2] * n + lz;
+                if (!grid.isWalkableAt(x, y, z, agent)) {
+                    continue;
+                }
+                node = nodes.get(x, y, z);
+                neighbors = grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners, agent, nodes);
+                for (i = 0; i < neighbors.length; ++i) {
+                    neighbor = neighbors[i];
+                    to = [neighbor.x, neighbor.y, neighbor.z];
+                    target = this._clusterKeyOf(to, grid);
+                    if (target === key) {
+                        continue;
+                    }
+                    group = groups[target] = groups[target] || [];
+                    group.push({
+                        from: [x, y, z],
+                        to: to,
+                        cost: grid.getMoveCost(node, neighbor, agent)
+                    });
+                }
+            }
+        }
+    }
+    grid.releaseNodes(nodes);
+
+    for (target in groups) {
+        if (groups.hasOwnProperty(target)) {
+            entrances = entrances.concat(groupCrossings(groups[target]));
+        }
+    }
+    return entrances;
+};
+
+/**
+ * Get the abstract edges leaving the given position: the local paths to
+ * every other entrance of its cluster and, if it is an entrance itself,
+ * the move across the border. They are kept in the cluster unless asked
+ * for just once.
+ * @protected
+ * @param {[number, number, number]} pos
+ * @param {boolean} [once] - Whether the edges are only needed this time,
+ *     as those of the start of a search.
+ */
+HPAStarFinder.prototype._getEdges = function(pos, once) {
+    var cluster = this._getCluster(this._clusterKeyOf(pos, this.grid)),
+        key = keyOf(pos),
+        edges = cluster.edges[key],
+        entrances = cluster.entrances,
+        targets = [],
+        local, entrance, i;
+
+    if (edges) {
+        return edges;
+    }
+
+    for (i = 0; i < entrances.length; ++i) {
+        if (keyOf(entrances[i].from) !== key) {
+            targets.push(entrances[i].from);
+        }
+    }
+    local = this._searchCluster(pos, targets);
+
+    edges = [];
+    if (!once) {
+        cluster.edges[key] = edges;
+    }
+    for (i = 0; i < entrances.length; ++i) {
+        entrance = entrances[i];
+        if (keyOf(entrance.from) === key) {
+            edges.push({
+                to: entrance.to,
+                cost: entrance.cost,
+                path: [entrance.from, entrance.to]
+            });
+        } else if (local[keyOf(entrance.from)]) {
+            edges.push({
+                to: entrance.from,
+                cost: local[keyOf(entrance.from)].cost,
+                path: local[keyOf(entrance.from)].path
+            });
+        }
+    }
+    return edges;
+};
+
+/**
+ * Dijkstra search from a position to the given targets, without leaving
+ * the position's cluster; or backwards, from the targets to the position.
+ * @protected
+ * @param {[number, number, number]} source
+ * @param {Array.<[number, number, number]>} targets
+ * @param {boolean} [backward] - Whether to search for the ways from the
+ *     targets to the position instead, following the predecessors.
+ * @return {object} The cost and path of each target reached, by key.
+ */
+HPAStarFinder.prototype._searchCluster = function(source, targets, backward) {
+    var grid = this.grid,
+        agent = this.agent,
+        clusterKey = this._clusterKeyOf(source, grid),
+        nodes = grid.acquireNodes(),
+        openList = new Heap(function(nodeA, nodeB) {
+            return nodeA.g - nodeB.g;
+        }),
+        wanted = {},
+        left = 0,
+        found = {},
+        node, neighbors, neighbor, key, ng, i, l;
+
+    for (i = 0; i < targets.length; ++i) {
+        key = keyOf(targets[i]);
+        if (!wanted[key]) {
+            wanted[key] = true;
+            left += 1;
+        }
+    }
+
+    node = nodes.get(source[0], source[1], source[2]);
+    node.g = 0;
+    node.opened = true;
+    openList.push(node);
+
+    while (left > 0 && !openList.empty()) {
+        node = openList.pop();
+        node.closed = true;
+
+        key = node.x + '|' + node.y + '|' + node.z;
+        if (wanted[key] && !found[key]) {
+            found[key] = {
+                cost: node.g,
+                path: backward ? Util.backtrace(node).slice().reverse() : Util.backtrace(node)
+            };
+            left -= 1;
+        }
+
+        neighbors = backward ?
+            grid.getPredecessors(node, this.allowDiagonal, this.dontCrossCorners, agent, nodes) :
+            grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners, agent, nodes);
+        for (i = 0, l = neighbors.length; i < l; ++i) {
+            neighbor = neighbors[i];
+            if (neighbor.closed ||
+                this._clusterKeyOf([neighbor.x, neighbor.y, neighbor.z], grid) !== clusterKey) {
+                continue;
+            }
+            ng = node.g + (backward ?
+                grid.getMoveCost(neighbor, node, agent) :
+                grid.getMoveCost(node, neighbor, agent));
+            if (!neighbor.opened || ng < neighbor.g) {
+                neighbor.g = ng;
+                neighbor.parent = node;
+                if (!neighbor.opened) {
+                    openList.push(neighbor);
+                    neighbor.opened = true;
+                } else {
+                    openList.updateItem(neighbor);
+                }
+            }
+        }
+    }
+    grid.releaseNodes(nodes);
+
+    return found;
+};
+
+/**
+ * Turn the abstract path ending with the given entry into the list of
+ * local paths it stands for.
+ * @protected
+ */
+HPAStarFinder.prototype._refine = function(entry) {
+    var segments = [];
+    while (entry.parent) {
+        segments.push(entry.path);
+        entry = entry.parent;
+    }
+    return segments.reverse();
+};
+
+/**
+ * Join local paths into the final path.
+ * @protected
+ */
+HPAStarFinder.prototype._finish = function(segments) {
+    var path = [segments[0][0]], i, j;
+    for (i = 0; i < segments.length; ++i) {
+        for (j = 1; j < segments[i].length; ++j) {
+            path.push(segments[i][j]);
+        }
+    }
+    path = path.map(function(coord) {
+        return coord.slice();
+    });
+    path.moves = Util.pathMoves(path, this.agent);
+    return path;
+};
+
+/**
+ * Key of a position.
+ */
+function keyOf(pos) {
+    return pos[0] + '|' + pos[1] + '|' + pos[2];
+}
+
+/**
+ * Split the border crossings towards one cluster into entrances: groups of
+ * crossings whose start nodes touch, each represented by its middle one.
+ */
+function groupCrossings(crossings) {
+    var entrances = [],
+        seen = [],
+        stack, group, i, j, a, b;
+
+    for (i = 0; i < crossings.length; ++i) {
+        if (seen[i]) {
+            continue;
+        }
+        seen[i] = true;
+        group = [];
+        stack = [i];
+        while (stack.length) {
+            a = crossings[stack.pop()];
+            group.push(a);
+            for (j = 0; j < crossings.length; ++j) {
+                b = crossings[j];
+                if (!seen[j] &&
+                    Math.abs(a.from[0] - b.from[0]) <= 1 &&
+                    Math.abs(a.from[1] - b.from[1]) <= 1 &&
+                    Math.abs(a.from[2] - b.from[2]) <= 1) {
+                    seen[j] = true;
+                    stack.push(j);
+                }
+            }
+        }
+        group.sort(function(a, b) {
+            return (a.from[0] - b.from[0]) || (a.from[1] - b.from[1]) || (a.from[2] - b.from[2]);
+        });
+        entrances.push(group[group.length >> 1]);
+    }
+    return entrances;
+}
+
+module.exports = HPAStarFinder;
@@ -1,6 +1,8 @@
 var Util       = require('../core/Util');
 var Heuristic  = require('../core/Heuristic');
 var Node       = require('../core/Node');
+var Agent      = require('../core/Agent');
+var Budget     = require('../core/Budget');
 
 /**
  * Iterative Deeping A Star (IDA*) path-finder.
@@ -25,6 +27,32 @@ var Node       = require('../core/Node');
  *     in order to speed up the search.
  * @param {object} opt.trackRecursion Whether to track recursion for statistical purposes.
  * @param {object} opt.timeLimit Maximum execution time. Use <= 0 for infinite.
+ * @param {number} opt.maxNodes Most nodes a search may visit.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds
+ *     (defaults to the time limit).
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.width Footprint of the agent along x and y, used
+ *     when opt.agent is not given.
+ * @param {number} opt.height Height of the agent, used when opt.agent is
+ *     not given.
+ * @param {number} opt.maxStepHeight Highest step up of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.maxFallHeight Deepest safe drop of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.jumpHeight Highest jump of the agent, used when
+ *     opt.agent is not given.
+ * @param {boolean} opt.fly Whether the agent flies or swims in all three
+ *     dimensions, used when opt.agent is not given.
+ * @param {object} opt.costs Movement cost multiplier of each voxel id,
+ *     used when opt.agent is not given.
+ * @param {number} opt.climbCost Extra cost per level risen, used when
+ *     opt.agent is not given.
+ * @param {number} opt.descendCost Extra cost per level dropped, used when
+ *     opt.agent is not given.
  */
 
 function IDAStarFinder(opt) {
@@ -35,31 +63,51 @@ function IDAStarFinder(opt) {
     this.weight = opt.weight || 1;
     this.trackRecursion = opt.trackRecursion || false;
     this.timeLimit = opt.timeLimit || Infinity; // Default: no time limit.
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs || (this.timeLimit > 0 ? this.timeLimit * 1000 : Infinity);
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
 }
 
 /**
- * Find and return the the path. When an empty array is returned, either
- * no path is possible, or the maximum execution time is reached.
+ * Find and return the the path. When the path doesn't reach the end,
+ * either no path is possible, or the search ran out of budget, as
+ * `path.status` tells (see PF.Status).
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid.
  *
- * @return {Array.<[number, number]>} The path, including both start and
- *     end positions.
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions.
  */
-IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
+IDAStarFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments));
+    }
+
     // Used for statistics:
     var nodesVisited = 0;
 
-    // Execution time limitation:
-    var startTime = new Date().getTime();
+    // Node, time and cost limitation:
+    var budget = new Budget(this, endX, endY, endZ);
+
+    // The deepening pass under way, so that the budget opens each node
+    // once a pass and counts later visits in that pass as reopening it:
+    var pass = 0;
+
+    // The route to the node being visited, to keep a copy of whenever it
+    // gets closer to the end than any before:
+    var trail = [];
 
     // Heuristic helper:
     var h = function(a, b) {
-        return this.heuristic(Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+        return this.heuristic(Math.abs(b.x - a.x), Math.abs(b.y - a.y), Math.abs(b.z - a.z), b.z - a.z);
     }.bind(this);
 
     // Step cost from a to b:
     var cost = function(a, b) {
-        return (a.x === b.x || a.y === b.y) ? 1 : Math.SQRT2;
-    };
+        return grid.getMoveCost(a, b, this.agent);
+    }.bind(this);
 
     /**
      * IDA* search implementation.
@@ -67,7 +115,7 @@ IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
      * @param {Node} The node currently expanding from.
      * @param {number} Cost to reach the given node.
      * @param {number} Maximum search depth (cut-off value).
-     * @param {{Array.<[number, number]>}} The found route.
+     * @param {{Array.<[number, number, number]>}} The found route.
      * @param {number} Recursion depth.
      *
      * @return {Object} either a number with the new optimal cut-off depth,
@@ -76,27 +124,47 @@ IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
     var search = function(node, g, cutoff, route, depth) {
         nodesVisited++;
 
-        // Enforce timelimit:
-        if(this.timeLimit > 0 && new Date().getTime() - startTime > this.timeLimit * 1000) {
+        // The trail serves as the open list, as far as the budget knows:
+        if(node.pass === pass) {
+            budget.reopen(node, depth + 1);
+        } else {
+            node.pass = pass;
+            budget.open(node, depth + 1);
+        }
+
+        // Enforce the budget:
+        if(!budget.spend(node) || !budget.allows(g)) {
             // Enforced as "path-not-found".
+            budget.close(node);
             return Infinity;
         }
 
+        trail[depth] = [node.x, node.y, node.z];
+        if(budget.approaches(node.x, node.y, node.z)) {
+            budget.closest = trail.slice(0, depth + 1);
+        }
+
         var f = g + h(node, end) * this.weight;
 
         // We've searched too deep for this iteration.
         if(f > cutoff) {
+            budget.close(node);
             return f;
         }
 
         if(node == end) {
-            route[depth] = [node.x, node.y];
+            route[depth] = [node.x, node.y, node.z];
+            budget.close(node);
             return node;
         }
 
         var min, t, k, neighbour;
 
-        var neighbours = grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners);
+        var neighbours = grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners, this.agent, nodes);
+
+        // Never walk back onto the route, so that the search runs out of
+        // moves once the goal can't be reached:
+        node.onRoute = true;
 
         // Sort the neighbours, gives nicer paths. But, this deviates
         // from the original algorithm - so I left it out.
@@ -106,6 +174,10 @@ IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
 
         for(k = 0, min = Infinity; neighbour = neighbours[k]; ++k) {
 
+            if(neighbour.onRoute) {
+                continue;
+            }
+
             if(this.trackRecursion) {
                 // Retain a copy for visualisation. Due to recursion, this
                 // node may be part of other paths too.
@@ -119,7 +191,9 @@ IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
             t = search(neighbour, g + cost(node, neighbour), cutoff, route, depth + 1);
 
             if(t instanceof Node) {
-                route[depth] = [node.x, node.y];
+                route[depth] = [node.x, node.y, node.z];
+                node.onRoute = false;
+                budget.close(node);
 
                 // For a typical A* linked list, this would work:
                 // neighbour.parent = node;
@@ -136,13 +210,16 @@ IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
             }
         }
 
+        node.onRoute = false;
+        budget.close(node);
         return min;
 
     }.bind(this);
 
-    // Node instance lookups:
-    var start = grid.getNodeAt(startX, startY);
-    var end   = grid.getNodeAt(endX, endY);
+    // Node instance lookups, on nodes of this search's own:
+    var nodes = grid.acquireNodes();
+    var start = nodes.get(startX, startY, startZ);
+    var end   = nodes.get(endX, endY, endZ);
 
     // Initial search depth, given the typical heuristic contraints,
     // there should be no cheaper route possible.
@@ -155,20 +232,28 @@ IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
         //console.log("Iteration: " + j + ", search cut-off value: " + cutOff + ", nodes visited thus far: " + nodesVisited + ".");
 
         route = [];
+        pass = j;
 
         // Search till cut-off depth:
         t = search(start, 0, cutOff, route, 0);
 
-        // Route not possible, or not found in time limit.
+        // Route not possible, or not found within the budget.
         if(t === Infinity) {
-            return [];
+            route = budget.failed(function(closest) {
+                closest.moves = Util.pathMoves(closest, this.agent);
+                return closest;
+            }.bind(this));
+            grid.releaseNodes(nodes);
+            return route;
         }
 
         // If t is a node, it's also the end node. Route is now
         // populated with a valid path to the end node.
         if(t instanceof Node) {
             //console.log("Finished at iteration: " + j + ", search cut-off value: " + cutOff + ", nodes visited: " + nodesVisited + ".");
-            return route;
+            route.moves = Util.pathMoves(route, this.agent);
+            grid.releaseNodes(nodes);
+            return budget.found(route);
         }
 
         // Try again, this time with a deeper cut-off. The t score
@@ -177,7 +262,8 @@ IDAStarFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
     }
 
     // This _should_ never to be reached.
-    return [];
+    grid.releaseNodes(nodes);
+    return budget.failed();
 };
 
 module.exports = IDAStarFinder;
@@ -4,30 +4,86 @@
 var Heap       = require('heap');
 var Util       = require('../core/Util');
 var Heuristic  = require('../core/Heuristic');
+var Agent      = require('../core/Agent');
+var Budget     = require('../core/Budget');
 
 /**
  * Path finder using the Jump Point Search algorithm
+ *
+ * On a voxel grid, jumps run along a single level. Where a node is level
+ * (its neighbors are exactly those of the same cell on a 2D map of the
+ * walkable voxels at that level, and entering them or the node costs just
+ * the distance moved) the 2D rules prune its neighbors and find its forced
+ * neighbors. Every other node, at a ledge, stair, overhang or costly
+ * terrain, is a jump point expanded with all the neighbors
+ * Grid#getNeighbors gives it, and so is every node reached by changing
+ * level.
  * @param {object} opt
  * @param {function} opt.heuristic Heuristic function to estimate the distance
  *     (defaults to manhattan).
+ * @param {number} opt.maxJumpLength Number of nodes a single jump may cross,
+ *     keeping jumps over open ground from running forever on an unbounded
+ *     world (defaults to 32).
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.width Footprint of the agent along x and y, used
+ *     when opt.agent is not given.
+ * @param {number} opt.height Height of the agent, used when opt.agent is
+ *     not given.
+ * @param {number} opt.maxStepHeight Highest step up of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.maxFallHeight Deepest safe drop of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.jumpHeight Highest jump of the agent, used when
+ *     opt.agent is not given.
+ * @param {boolean} opt.fly Whether the agent flies or swims in all three
+ *     dimensions, used when opt.agent is not given.
+ * @param {object} opt.costs Movement cost multiplier of each voxel id,
+ *     used when opt.agent is not given.
+ * @param {number} opt.climbCost Extra cost per level risen, used when
+ *     opt.agent is not given.
+ * @param {number} opt.descendCost Extra cost per level dropped, used when
+ *     opt.agent is not given.
  */
 function JumpPointFinder(opt) {
     opt = opt || {};
+    this.allowDiagonal = true;
     this.heuristic = opt.heuristic || Heuristic.manhattan;
     this.trackJumpRecursion = opt.trackJumpRecursion || false;
+    this.maxJumpLength = opt.maxJumpLength || 32;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
 }
 
 /**
  * Find and return the path.
- * @return {Array.<[number, number]>} The path, including both start and
- *     end positions.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid.
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status).
  */
-JumpPointFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
+JumpPointFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments));
+    }
+
     var openList = this.openList = new Heap(function(nodeA, nodeB) {
             return nodeA.f - nodeB.f;
         }),
-        startNode = this.startNode = grid.getNodeAt(startX, startY),
-        endNode = this.endNode = grid.getNodeAt(endX, endY), node;
+        nodes = this.nodes = grid.acquireNodes(),
+        startNode = this.startNode = nodes.get(startX, startY, startZ),
+        endNode = this.endNode = nodes.get(endX, endY, endZ),
+        budget = this.budget = new Budget(this, endX, endY, endZ),
+        node, path;
 
     this.grid = grid;
 
@@ -39,22 +95,37 @@ JumpPointFinder.prototype.findPath = function(startX, startY, endX, endY, grid)
     // push the start node into the open list
     openList.push(startNode);
     startNode.opened = true;
+    budget.open(startNode, 1);
 
     // while the open list is not empty
     while (!openList.empty()) {
         // pop the position of node which has the minimum `f` value.
         node = openList.pop();
         node.closed = true;
+        budget.close(node);
 
         if (node === endNode) {
-            return Util.expandPath(Util.backtrace(endNode));
+            path = budget.found(this._expandPath(Util.backtrace(endNode)));
+            path.moves = Util.pathMoves(path, this.agent);
+            grid.releaseNodes(nodes);
+            return path;
+        }
+
+        if (!budget.expand(node)) {
+            break;
         }
 
         this._identifySuccessors(node);
     }
 
     // fail to find the path
-    return [];
+    path = budget.failed(function(closest) {
+        var partial = this._expandPath(Util.backtrace(closest));
+        partial.moves = Util.pathMoves(partial, this.agent);
+        return partial;
+    }.bind(this));
+    grid.releaseNodes(nodes);
+    return path;
 };
 
 /**
@@ -72,40 +143,48 @@ JumpPointFinder.prototype._identifySuccessors = function(node) {
         endZ = this.endNode.z,
         neighbors, neighbor,
         jumpPoint, i, l,
-        x = node.x, y = node.y, z = node.z,
-        jx, jy, jz, dx, dy, dz, d, ng, jumpNode,
-        abs = Math.abs, max = Math.max;
+        x = node.x, y = node.y,
+        jx, jy, jz, d, ng, jumpNode,
+        abs = Math.abs;
 
     neighbors = this._findNeighbors(node);
     for(i = 0, l = neighbors.length; i < l; ++i) {
         neighbor = neighbors[i];
-        jumpPoint = this._jump(neighbor[0], neighbor[1], neighbor[2], x, y, z);
+        jumpPoint = this._jump(neighbor[0], neighbor[1], neighbor[2], x, y, node.z);
         if (jumpPoint) {
 
             jx = jumpPoint[0];
             jy = jumpPoint[1];
             jz = jumpPoint[2];
-            jumpNode = grid.getNodeAt(jx, jy, jz);
+            jumpNode = this.nodes.get(jx, jy, jz);
+            this.budget.jump(node, jumpNode);
 
             if (jumpNode.closed) {
                 continue;
             }
 
-            // include distance, as parent may not be immediately adjacent:
-            d = Heuristic.euclidean(abs(jx - x), abs(jy - y), abs(jz - z));
+            // the first move may change level and cost more, the rest of
+            // the jump runs straight across level nodes
+            d = grid.getMoveCost(node, this.nodes.get(neighbor[0], neighbor[1], neighbor[2]), this.agent) +
+                Heuristic.octile(abs(jx - neighbor[0]), abs(jy - neighbor[1]), 0);
             ng = node.g + d; // next `g` value
+            if (!this.budget.allows(ng)) {
+                continue;
+            }
 
             if (!jumpNode.opened || ng < jumpNode.g) {
                 jumpNode.g = ng;
-                jumpNode.h = jumpNode.h || heuristic(abs(jx - endX), abs(jy - endY), abs(jz - endZ));
+                jumpNode.h = jumpNode.h || heuristic(abs(jx - endX), abs(jy - endY), abs(jz - endZ), endZ - jz);
                 jumpNode.f = jumpNode.g + jumpNode.h;
                 jumpNode.parent = node;
 
                 if (!jumpNode.opened) {
                     openList.push(jumpNode);
                     jumpNode.opened = true;
+                    this.budget.open(jumpNode, openList.size());
                 } else {
                     openList.updateItem(jumpNode);
+                    this.budget.reopen(jumpNode, openList.size());
                 }
             }
         }
@@ -113,140 +192,129 @@ JumpPointFinder.prototype._identifySuccessors = function(node) {
 };
 
 /**
- * Search recursively in the direction (parent -> child), stopping only when a
- * jump point is found.
+ * Search in the direction (parent -> child), stopping only when a jump
+ * point is found.
  * @protected
- * @return {Array.<[number, number]>} The x, y coordinate of the jump point
- *     found, or null if not found
+ * @return {Array.<[number, number, number]>} The x, y, z coordinate of the
+ *     jump point found, or null if not found
  */
 JumpPointFinder.prototype._jump = function(x, y, z, px, py, pz) {
-    var grid = this.grid,
-        dx = x - px, dy = y - py, dz = z - pz;
-
-    if (!grid.isWalkableAt(x, y, z)) {
-        return null;
-    }
+    var dx = x - px, dy = y - py,
+        length, node;
 
-    if(this.trackJumpRecursion === true) {
-        grid.getNodeAt(x, y, z).tested = true;
-    }
+    for (length = 1; ; ++length, x += dx, y += dy) {
+        if (!this._isOpenAt(x, y, z)) {
+            return null;
+        }
 
-    if (grid.getNodeAt(x, y, z) === this.endNode) {
-        return [x, y, z];
-    }
+        node = this.nodes.get(x, y, z);
+        if(this.trackJumpRecursion === true) {
+            node.tested = true;
+        }
 
-    // check for forced neighbors
-    // along the diagonal
-    if (dx !== 0 && dy !== 0 && dz !== 0) {
-        if ((grid.isWalkableAt(x - dx, y + dy, z - dz) && !grid.isWalkableAt(x - dx, y, z - dz)) ||
-            (grid.isWalkableAt(x + dx, y - dy, z - dz) && !grid.isWalkableAt(x, y - dy, z - dz)) ||
-            (grid.isWalkableAt(x - dx, y + dy, z + dz) && !grid.isWalkableAt(x - dx, y, z + dz)) ||
-            (grid.isWalkableAt(x + dx, y - dy, z + dz) && !grid.isWalkableAt(x, y - dy, z + dz))) {
+        if (node === this.endNode || z !== pz || !this._isLevel(node) ||
+            length >= this.maxJumpLength) {
             return [x, y, z];
         }
-    }
-    // horizontally/vertically
-    else {
-        if( dx !== 0 ) { // moving along x
-            if((grid.isWalkableAt(x + dx, y + 1, z + 1) && !grid.isWalkableAt(x, y + 1, z + 1)) ||
-               (grid.isWalkableAt(x + dx, y - 1, z + 1) && !grid.isWalkableAt(x, y - 1, z + 1)) ||
-               (grid.isWalkableAt(x + dx, y + 1, z - 1) && !grid.isWalkableAt(x, y + 1, z - 1)) ||
-               (grid.isWalkableAt(x + dx, y - 1, z - 1) && !grid.isWalkableAt(x, y - 1, z - 1))) {
+
+        // check for forced neighbors
+        // along the diagonal
+        if (dx !== 0 && dy !== 0) {
+            if ((this._isOpenAt(x - dx, y + dy, z) && !this._isOpenAt(x - dx, y, z)) ||
+                (this._isOpenAt(x + dx, y - dy, z) && !this._isOpenAt(x, y - dy, z))) {
                 return [x, y, z];
             }
         }
+        // horizontally/vertically
         else {
-            if((grid.isWalkableAt(x + 1, y + dy, z + 1) && !grid.isWalkableAt(x + 1, y, z + 1)) ||
-               (grid.isWalkableAt(x - 1, y + dy, z + 1) && !grid.isWalkableAt(x - 1, y, z + 1)) ||
-               (grid.isWalkableAt(x + 1, y + dy, z - 1) && !grid.isWalkableAt(x + 1, y, z - 1)) ||
-               (grid.isWalkableAt(x - 1, y + dy, z - 1) && !grid.isWalkableAt(x - 1, y, z - 1))) {
-                return [x, y, z];
+            if( dx !== 0 ) { // moving along x
+                if((this._isOpenAt(x + dx, y + 1, z) && !this._isOpenAt(x, y + 1, z)) ||
+                   (this._isOpenAt(x + dx, y - 1, z) && !this._isOpenAt(x, y - 1, z))) {
+                    return [x, y, z];
+                }
+            }
+            else {
+                if((this._isOpenAt(x + 1, y + dy, z) && !this._isOpenAt(x + 1, y, z)) ||
+                   (this._isOpenAt(x - 1, y + dy, z) && !this._isOpenAt(x - 1, y, z))) {
+                    return [x, y, z];
+                }
             }
         }
-    }
 
-    // when moving diagonally, must check for vertical/horizontal jump points
-    if (dx !== 0 && dy !== 0 && dz !== 0) {
-        if (this._jump(x + dx, y, z, x, y, z) || this._jump(x, y + dy, z, x, y, z) || this._jump(x, y, z + dz, x, y, z)) {
-            return [x, y, z];
+        // when moving diagonally, must check for vertical/horizontal jump points
+        if (dx !== 0 && dy !== 0) {
+            if (this._jump(x + dx, y, z, x, y, z) || this._jump(x, y + dy, z, x, y, z)) {
+                return [x, y, z];
+            }
         }
-    }
 
-    // moving diagonally, must make sure one of the vertical/horizontal
-    // neighbors is open to allow the path
-    if (grid.isWalkableAt(x + dx, y, z) || grid.isWalkableAt(x, y + dy, z) || grid.isWalkableAt(x, y, z + dz)) {
-        return this._jump(x + dx, y + dy, z + dz, x, y, z);
-    } else {
-        return null;
+        // moving diagonally, must make sure one of the vertical/horizontal
+        // neighbors is open to allow the path
+        if (!this._isOpenAt(x + dx, y, z) && !this._isOpenAt(x, y + dy, z)) {
+            return null;
+        }
     }
 };
 
 /**
- * Find the neighbors for the given node. If the node has a parent,
- * prune the neighbors based on the jump point search algorithm, otherwise
- * return all available neighbors.
- * @return {Array.<[number, number]>} The neighbors found.
+ * Find the neighbors for the given node. If the node has a parent and is
+ * level, prune the neighbors based on the jump point search algorithm,
+ * otherwise return all available neighbors.
+ * @return {Array.<[number, number, number]>} The neighbors found.
  */
 JumpPointFinder.prototype._findNeighbors = function(node) {
     var parent = node.parent,
         x = node.x, y = node.y, z = node.z,
-        grid = this.grid,
-        px, py, pz, nx, ny, nz, dx, dy, nz,
+        px, py, dx, dy,
         neighbors = [], neighborNodes, neighborNode, i, l;
 
     // directed pruning: can ignore most neighbors, unless forced.
-    if (parent) {
+    if (parent && this._isLevel(node)) {
         px = parent.x;
         py = parent.y;
-        pz = parent.z;
         // get the normalized direction of travel
         dx = (x - px) / Math.max(Math.abs(x - px), 1);
         dy = (y - py) / Math.max(Math.abs(y - py), 1);
-        dz = (z - pz) / Math.max(Math.abs(z - pz), 1);
 
         // search diagonally
-        if (dx !== 0 && dy !== 0 && dz !== 0) {
-            for(var cz = -1; cz < 2; cz++) {
-                if (grid.isWalkableAt(x, y + dy, z + cz)) {
-                    neighbors.push([x, y + dy, z + cz]);
-                }
-                if (grid.isWalkableAt(x + dx, y, z + cz)) {
-                    neighbors.push([x + dx, y, z + cz]);
-                }
-                if (grid.isWalkableAt(x, y + dy, z + cz) || grid.isWalkableAt(x + dx, y, z + cz)) {
-                    neighbors.push([x + dx, y + dy, z + cz]);
-                }
-                if (!grid.isWalkableAt(x - dx, y, z + cz) && grid.isWalkableAt(x, y + dy, z + cz)) {
-                    neighbors.push([x - dx, y + dy, z + cz]);
-                }
-                if (!grid.isWalkableAt(x, y - dy, z + cz) && grid.isWalkableAt(x + dx, y, z + cz)) {
-                    neighbors.push([x + dx, y - dy, z + cz]);
-                }
+        if (dx !== 0 && dy !== 0) {
+            if (this._isOpenAt(x, y + dy, z)) {
+                neighbors.push([x, y + dy, z]);
+            }
+            if (this._isOpenAt(x + dx, y, z)) {
+                neighbors.push([x + dx, y, z]);
+            }
+            if (this._isOpenAt(x, y + dy, z) || this._isOpenAt(x + dx, y, z)) {
+                neighbors.push([x + dx, y + dy, z]);
+            }
+            if (!this._isOpenAt(x - dx, y, z) && this._isOpenAt(x, y + dy, z)) {
+                neighbors.push([x - dx, y + dy, z]);
+            }
+            if (!this._isOpenAt(x, y - dy, z) && this._isOpenAt(x + dx, y, z)) {
+                neighbors.push([x + dx, y - dy, z]);
             }
         }
         // search horizontally/vertically
         else {
-            for(var cz = -1; cz < 2; cz++) {
-                if(dx === 0) {
-                    if (grid.isWalkableAt(x, y + dy, cz+z)) {
-                        neighbors.push([x, y + dy, cz+z]);
-                        if (!grid.isWalkableAt(x + 1, y, cz+z)) {
-                            neighbors.push([x + 1, y + dy, cz+z]);
-                        }
-                        if (!grid.isWalkableAt(x - 1, y, cz+z)) {
-                            neighbors.push([x - 1, y + dy, cz+z]);
-                        }
+            if(dx === 0) {
+                if (this._isOpenAt(x, y + dy, z)) {
+                    neighbors.push([x, y + dy, z]);
+                    if (!this._isOpenAt(x + 1, y, z)) {
+                        neighbors.push([x + 1, y + dy, z]);
+                    }
+                    if (!this._isOpenAt(x - 1, y, z)) {
+                        neighbors.push([x - 1, y + dy, z]);
                     }
                 }
-                else {
-                    if (grid.isWalkableAt(x + dx, y, cz+z)) {
-                        neighbors.push([x + dx, y, cz+z]);
-                        if (!grid.isWalkableAt(x, y + 1, cz+z)) {
-                            neighbors.push([x + dx, y + 1, cz+z]);
-                        }
-                        if (!grid.isWalkableAt(x, y - 1, cz+z)) {
-                            neighbors.push([x + dx, y - 1, cz+z]);
-                        }
+            }
+            else {
+                if (this._isOpenAt(x + dx, y, z)) {
+                    neighbors.push([x + dx, y, z]);
+                    if (!this._isOpenAt(x, y + 1, z)) {
+                        neighbors.push([x + dx, y + 1, z]);
+                    }
+                    if (!this._isOpenAt(x, y - 1, z)) {
+                        neighbors.push([x + dx, y - 1, z]);
                     }
                 }
             }
@@ -254,7 +322,7 @@ JumpPointFinder.prototype._findNeighbors = function(node) {
     }
     // return all neighbors
     else {
-        neighborNodes = grid.getNeighbors(node, true);
+        neighborNodes = this.grid.getNeighbors(node, this.allowDiagonal, false, this.agent, this.nodes);
         for (i = 0, l = neighborNodes.length; i < l; ++i) {
             neighborNode = neighborNodes[i];
             neighbors.push([neighborNode.x, neighborNode.y, neighborNode.z]);
@@ -264,4 +332,84 @@ JumpPointFinder.prototype._findNeighbors = function(node) {
     return neighbors;
 };
 
+/**
+ * Fill in the positions each jump crossed. A jump runs along the level of
+ * the point it reaches, having changed level, if at all, in its first move.
+ * @protected
+ * @return {Array.<[number, number, number]>} The expanded path.
+ */
+JumpPointFinder.prototype._expandPath = function(path) {
+    var expanded = path.slice(0, 1),
+        from, to, line, i, j;
+
+    for (i = 1; i < path.length; ++i) {
+        from = path[i - 1];
+        to = path[i];
+        line = Util.interpolate(from[0], from[1], to[2], to[0], to[1], to[2]);
+        for (j = 1; j < line.length; ++j) {
+            expanded.push(line[j]);
+        }
+    }
+
+    return expanded;
+};
+
+/**
+ * Whether the agent can stand at the given position: an open cell of the
+ * 2D map of its level.
+ * @protected
+ */
+JumpPointFinder.prototype._isOpenAt = function(x, y, z) {
+    return this.grid.isWalkableAt(x, y, z, this.agent);
+};
+
+/**
+ * Whether the neighbors of the given node are those of the same cell on
+ * a 2D map of the open cells at its level (diagonal moves needing one of
+ * the two cells beside them to be open), and entering any of them or the
+ * node itself costs just the distance moved. Remembered on the node for
+ * the rest of the search.
+ * @protected
+ */
+JumpPointFinder.prototype._isLevel = function(node) {
+    var grid = this.grid,
+        agent = this.agent,
+        x = node.x, y = node.y, z = node.z,
+        expected = 0,
+        neighbors, neighbor, nx, ny, distance, i;
+
+    if (node.level !== undefined) {
+        return node.level;
+    }
+
+    // count the neighbors of the cell on the 2D map
+    for (ny = -1; ny <= 1; ++ny) {
+        for (nx = -1; nx <= 1; ++nx) {
+            if ((nx === 0 && ny === 0) || !this._isOpenAt(x + nx, y + ny, z)) {
+                continue;
+            }
+            if (nx === 0 || ny === 0) {
+                expected += 1;
+            } else if (this.allowDiagonal &&
+                       (this._isOpenAt(x + nx, y, z) || this._isOpenAt(x, y + ny, z))) {
+                expected += 1;
+            }
+        }
+    }
+
+    neighbors = grid.getNeighbors(node, this.allowDiagonal, false, agent, this.nodes);
+    node.level = neighbors.length === expected;
+    for (i = 0; node.level && i < neighbors.length; ++i) {
+        neighbor = neighbors[i];
+        nx = neighbor.x - x;
+        ny = neighbor.y - y;
+        distance = (nx === 0 || ny === 0) ? 1 : Math.SQRT2;
+        node.level = neighbor.z === z &&
+            (distance === 1 || this._isOpenAt(x + nx, y, z) || this._isOpenAt(x, y + ny, z)) &&
+            grid.getMoveCost(node, neighbor, agent) === distance &&
+            grid.getMoveCost(neighbor, node, agent) === distance;
+    }
+    return node.level;
+};
+
 module.exports = JumpPointFinder;
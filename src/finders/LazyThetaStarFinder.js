@@ -0,0 +1,152 @@
+var Util            = require('../core/Util');
+var ThetaStarFinder = require('./ThetaStarFinder');
+
+/**
+ * Lazy Theta* path-finder.
+ * Links each node it opens to the parent of the node expanded, as
+ * Theta* does, but without looking whether the agent can walk straight
+ * there: that is only looked at once the node is expanded, which most
+ * nodes opened never are. When it can't, the node is linked instead to
+ * the neighbor it can be reached from for the least.
+ * Until looked at, such a link is taken to cost the straight distance it
+ * spans, so paths across costly ground may be a little longer than those
+ * Theta* finds.
+ * @constructor
+ * @extends ThetaStarFinder
+ * @param {object} opt
+ * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
+ * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {function} opt.heuristic Heuristic function to estimate the distance
+ *     (defaults to the movement heuristic of the agent, measured as the
+ *     crow flies; see Heuristic.movement).
+ * @param {integer} opt.weight Weight to apply to the heuristic to allow for suboptimal paths,
+ *     in order to speed up the search.
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for, including its
+ *     movement costs.
+ */
+function LazyThetaStarFinder(opt) {
+    ThetaStarFinder.call(this, opt);
+}
+
+LazyThetaStarFinder.prototype = new ThetaStarFinder();
+LazyThetaStarFinder.prototype.constructor = LazyThetaStarFinder;
+
+/**
+ * Expand the next node of a search, ending it if that reaches a goal or
+ * there is nothing left to expand.
+ * @protected
+ * @param {Search} search
+ */
+LazyThetaStarFinder.prototype._stepSearch = function(search) {
+    var openList = search.openList,
+        grid = search.grid,
+        nodes = search.nodes,
+        goal = search.goal,
+        budget = search.budget,
+        heuristic = this.heuristic,
+        agent = this.agent,
+        weight = this.weight,
+        node, neighbors, neighbor, parent, i, l, ng;
+
+    if (openList.empty()) {
+        search.fail(this._tracer(grid));
+        return;
+    }
+
+    node = openList.pop();
+    node.closed = true;
+    budget.close(node);
+    if (node.unseen) {
+        this._linkSeen(node, grid, nodes);
+    }
+
+    if (goal.contains(node.x, node.y, node.z)) {
+        search.finish(this._trace(node, grid));
+        return;
+    }
+
+    if (!budget.expand(node)) {
+        search.fail(this._tracer(grid));
+        return;
+    }
+
+    neighbors = grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners, agent, nodes);
+    for (i = 0, l = neighbors.length; i < l; ++i) {
+        neighbor = neighbors[i];
+
+        if (neighbor.closed) {
+            continue;
+        }
+
+        // straight from the parent of the current node, taken on trust
+        parent = node.parent || node;
+        ng = parent === node ?
+            node.g + grid.getMoveCost(node, neighbor, agent) :
+            parent.g + this._distance([parent.x, parent.y, parent.z], [neighbor.x, neighbor.y, neighbor.z]);
+        if (!budget.allows(ng)) {
+            continue;
+        }
+
+        if (!neighbor.opened || ng < neighbor.g) {
+            neighbor.g = ng;
+            neighbor.h = neighbor.h || weight * goal.estimate(heuristic, neighbor.x, neighbor.y, neighbor.z);
+            neighbor.f = neighbor.g + neighbor.h;
+            neighbor.parent = parent;
+            neighbor.unseen = parent !== node;
+
+            if (!neighbor.opened) {
+                openList.push(neighbor);
+                neighbor.opened = true;
+                budget.open(neighbor, openList.size());
+            } else {
+                openList.updateItem(neighbor);
+                budget.reopen(neighbor, openList.size());
+            }
+        }
+    }
+};
+
+/**
+ * Look whether the agent can walk straight to a node from the parent it
+ * was linked to on trust, costing it what walking there does; if it can't,
+ * link it to the expanded neighbor it can be reached from for the least.
+ * The node expanded when it was opened is one of them.
+ * @protected
+ * @param {Node} node
+ * @param {Grid} grid
+ * @param {NodeStore} nodes
+ */
+LazyThetaStarFinder.prototype._linkSeen = function(node, grid, nodes) {
+    var parent = node.parent,
+        agent = this.agent,
+        line = Util.walkLine(grid, [parent.x, parent.y, parent.z], [node.x, node.y, node.z], agent, this),
+        predecessors, predecessor, g, i;
+
+    node.unseen = false;
+    if (line) {
+        node.g = parent.g + this._lineCost(grid, line);
+        node.f = node.g + node.h;
+        return;
+    }
+
+    node.parent = null;
+    predecessors = grid.getPredecessors(node, this.allowDiagonal, this.dontCrossCorners, agent, nodes);
+    for (i = 0; i < predecessors.length; ++i) {
+        predecessor = predecessors[i];
+        if (!predecessor.closed) {
+            continue;
+        }
+        g = predecessor.g + grid.getMoveCost(predecessor, node, agent);
+        if (!node.parent || g < node.g) {
+            node.parent = predecessor;
+            node.g = g;
+        }
+    }
+    node.f = node.g + node.h;
+};
+
+module.exports = LazyThetaStarFinder;
@@ -1,86 +1,95 @@
 /**
  * @author imor / https://github.com/imor
  */
-var Heuristic  = require('../core/Heuristic');
 var JumpPointFinder = require('./JumpPointFinder');
 
 /**
  * Path finder using the Jump Point Search algorithm allowing only horizontal
  * or vertical movements.
+ * Jumps run along a single level and stop at nodes that are not level, as
+ * in JumpPointFinder.
  * @param {object} opt
  * @param {function} opt.heuristic Heuristic function to estimate the distance
  *     (defaults to manhattan).
+ * @param {number} opt.maxJumpLength Number of nodes a single jump may cross
+ *     (defaults to 32).
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
  */
 function OrthogonalJumpPointFinder(opt) {
     JumpPointFinder.call(this, opt);
-    opt = opt || {};
-    this.heuristic = opt.heuristic || Heuristic.manhattan;
+    this.allowDiagonal = false;
 }
 
 OrthogonalJumpPointFinder.prototype = new JumpPointFinder();
 OrthogonalJumpPointFinder.prototype.constructor = OrthogonalJumpPointFinder;
 
 /**
- * Search recursively in the direction (parent -> child), stopping only when a
- * jump point is found.
+ * Search in the direction (parent -> child), stopping only when a jump
+ * point is found.
  * @protected
- * @return {Array.<[number, number]>} The x, y coordinate of the jump point
- *     found, or null if not found
+ * @return {Array.<[number, number, number]>} The x, y, z coordinate of the
+ *     jump point found, or null if not found
  */
-OrthogonalJumpPointFinder.prototype._jump = function(x, y, px, py) {
-    var grid = this.grid,
-        dx = x - px, dy = y - py;
+OrthogonalJumpPointFinder.prototype._jump = function(x, y, z, px, py, pz) {
+    var dx = x - px, dy = y - py,
+        length, node;
 
-    if (!grid.isWalkableAt(x, y)) {
-        return null;
+    if (dx !== 0 && dy !== 0) {
+        throw new Error("Only horizontal and vertical movements are allowed");
     }
 
-    if(this.trackJumpRecursion === true) {
-        grid.getNodeAt(x, y).tested = true;
-    }
+    for (length = 1; ; ++length, x += dx, y += dy) {
+        if (!this._isOpenAt(x, y, z)) {
+            return null;
+        }
 
-    if (grid.getNodeAt(x, y) === this.endNode) {
-        return [x, y];
-    }
+        node = this.nodes.get(x, y, z);
+        if(this.trackJumpRecursion === true) {
+            node.tested = true;
+        }
 
-    if (dx !== 0) {
-        if ((grid.isWalkableAt(x, y - 1) && !grid.isWalkableAt(x - dx, y - 1)) ||
-            (grid.isWalkableAt(x, y + 1) && !grid.isWalkableAt(x - dx, y + 1))) {
-            return [x, y];
+        if (node === this.endNode || z !== pz || !this._isLevel(node) ||
+            length >= this.maxJumpLength) {
+            return [x, y, z];
         }
-    }
-    else if (dy !== 0) {
-        if ((grid.isWalkableAt(x - 1, y) && !grid.isWalkableAt(x - 1, y - dy)) ||
-            (grid.isWalkableAt(x + 1, y) && !grid.isWalkableAt(x + 1, y - dy))) {
-            return [x, y];
+
+        if (dx !== 0) {
+            if ((this._isOpenAt(x, y - 1, z) && !this._isOpenAt(x - dx, y - 1, z)) ||
+                (this._isOpenAt(x, y + 1, z) && !this._isOpenAt(x - dx, y + 1, z))) {
+                return [x, y, z];
+            }
         }
-        //When moving vertically, must check for horizontal jump points
-        if (this._jump(x + 1, y, x, y) || this._jump(x - 1, y, x, y)) {
-            return [x, y];
+        else {
+            if ((this._isOpenAt(x - 1, y, z) && !this._isOpenAt(x - 1, y - dy, z)) ||
+                (this._isOpenAt(x + 1, y, z) && !this._isOpenAt(x + 1, y - dy, z))) {
+                return [x, y, z];
+            }
+            //When moving vertically, must check for horizontal jump points
+            if (this._jump(x + 1, y, z, x, y, z) || this._jump(x - 1, y, z, x, y, z)) {
+                return [x, y, z];
+            }
         }
     }
-    else {
-        throw new Error("Only horizontal and vertical movements are allowed");
-    }
-
-    return this._jump(x + dx, y + dy, x, y);
 };
 
 /**
- * Find the neighbors for the given node. If the node has a parent,
- * prune the neighbors based on the jump point search algorithm, otherwise
- * return all available neighbors.
- * @return {Array.<[number, number]>} The neighbors found.
+ * Find the neighbors for the given node. If the node has a parent and is
+ * level, prune the neighbors based on the jump point search algorithm,
+ * otherwise return all available neighbors.
+ * @return {Array.<[number, number, number]>} The neighbors found.
  */
 OrthogonalJumpPointFinder.prototype._findNeighbors = function(node) {
     var parent = node.parent,
-        x = node.x, y = node.y,
-        grid = this.grid,
-        px, py, nx, ny, dx, dy,
+        x = node.x, y = node.y, z = node.z,
+        px, py, dx, dy,
         neighbors = [], neighborNodes, neighborNode, i, l;
 
     // directed pruning: can ignore most neighbors, unless forced.
-    if (parent) {
+    if (parent && this._isLevel(node)) {
         px = parent.x;
         py = parent.y;
         // get the normalized direction of travel
@@ -88,34 +97,34 @@ OrthogonalJumpPointFinder.prototype._findNeighbors = function(node) {
         dy = (y - py) / Math.max(Math.abs(y - py), 1);
 
         if (dx !== 0) {
-            if (grid.isWalkableAt(x, y - 1)) {
-                neighbors.push([x, y - 1]);
+            if (this._isOpenAt(x, y - 1, z)) {
+                neighbors.push([x, y - 1, z]);
             }
-            if (grid.isWalkableAt(x, y + 1)) {
-                neighbors.push([x, y + 1]);
+            if (this._isOpenAt(x, y + 1, z)) {
+                neighbors.push([x, y + 1, z]);
             }
-            if (grid.isWalkableAt(x + dx, y)) {
-                neighbors.push([x + dx, y]);
+            if (this._isOpenAt(x + dx, y, z)) {
+                neighbors.push([x + dx, y, z]);
             }
         }
         else if (dy !== 0) {
-            if (grid.isWalkableAt(x - 1, y)) {
-                neighbors.push([x - 1, y]);
+            if (this._isOpenAt(x - 1, y, z)) {
+                neighbors.push([x - 1, y, z]);
             }
-            if (grid.isWalkableAt(x + 1, y)) {
-                neighbors.push([x + 1, y]);
+            if (this._isOpenAt(x + 1, y, z)) {
+                neighbors.push([x + 1, y, z]);
             }
-            if (grid.isWalkableAt(x, y + dy)) {
-                neighbors.push([x, y + dy]);
+            if (this._isOpenAt(x, y + dy, z)) {
+                neighbors.push([x, y + dy, z]);
             }
         }
     }
     // return all neighbors
     else {
-        neighborNodes = grid.getNeighbors(node, false);
+        neighborNodes = this.grid.getNeighbors(node, false, false, this.agent, this.nodes);
         for (i = 0, l = neighborNodes.length; i < l; ++i) {
             neighborNode = neighborNodes[i];
-            neighbors.push([neighborNode.x, neighborNode.y]);
+            neighbors.push([neighborNode.x, neighborNode.y, neighborNode.z]);
         }
     }
 
@@ -0,0 +1,232 @@
+var Util        = require('../core/Util');
+var Heuristic   = require('../core/Heuristic');
+var AStarFinder = require('./AStarFinder');
+
+/**
+ * Theta* path-finder.
+ * Searches as A* does, but links each node it opens to the parent of the
+ * node expanded instead whenever the agent can walk straight there from it
+ * (see Util.walkLine), so that paths cut across open ground at any angle
+ * rather than following the grid.
+ * The path is returned voxel by voxel as the other finders return it, with
+ * the positions where it turns as `path.waypoints`.
+ * @constructor
+ * @extends AStarFinder
+ * @param {object} opt
+ * @param {boolean} opt.allowDiagonal Whether diagonal movement is allowed.
+ * @param {boolean} opt.dontCrossCorners Disallow diagonal movement touching block corners.
+ * @param {function} opt.heuristic Heuristic function to estimate the distance
+ *     (defaults to the movement heuristic of the agent, measured as the
+ *     crow flies; see Heuristic.movement).
+ * @param {integer} opt.weight Weight to apply to the heuristic to allow for suboptimal paths,
+ *     in order to speed up the search.
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for, including its
+ *     movement costs.
+ */
+function ThetaStarFinder(opt) {
+    AStarFinder.call(this, opt);
+    this.heuristic = (opt && opt.heuristic) || Heuristic.movement(this.agent, Heuristic.euclidean);
+}
+
+ThetaStarFinder.prototype = new AStarFinder();
+ThetaStarFinder.prototype.constructor = ThetaStarFinder;
+
+/**
+ * Expand the next node of a search, ending it if that reaches a goal or
+ * there is nothing left to expand.
+ * @protected
+ * @param {Search} search
+ */
+ThetaStarFinder.prototype._stepSearch = function(search) {
+    var openList = search.openList,
+        grid = search.grid,
+        nodes = search.nodes,
+        goal = search.goal,
+        budget = search.budget,
+        heuristic = this.heuristic,
+        agent = this.agent,
+        weight = this.weight,
+        node, neighbors, neighbor, parent, line, i, l, ng, g;
+
+    if (openList.empty()) {
+        search.fail(this._tracer(grid));
+        return;
+    }
+
+    node = openList.pop();
+    node.closed = true;
+    budget.close(node);
+
+    if (goal.contains(node.x, node.y, node.z)) {
+        search.finish(this._trace(node, grid));
+        return;
+    }
+
+    if (!budget.expand(node)) {
+        search.fail(this._tracer(grid));
+        return;
+    }
+
+    neighbors = grid.getNeighbors(node, this.allowDiagonal, this.dontCrossCorners, agent, nodes);
+    for (i = 0, l = neighbors.length; i < l; ++i) {
+        neighbor = neighbors[i];
+
+        if (neighbor.closed) {
+            continue;
+        }
+
+        // the move from the current node, unless the agent can walk
+        // straight from its parent for less
+        parent = node;
+        ng = node.g + grid.getMoveCost(node, neighbor, agent);
+        if (node.parent) {
+            line = Util.walkLine(grid, position(node.parent), position(neighbor), agent, this);
+            if (line) {
+                g = node.parent.g + this._lineCost(grid, line);
+                if (g <= ng) {
+                    parent = node.parent;
+                    ng = g;
+                }
+            }
+        }
+        if (!budget.allows(ng)) {
+            continue;
+        }
+
+        if (!neighbor.opened || ng < neighbor.g) {
+            neighbor.g = ng;
+            neighbor.h = neighbor.h || weight * goal.estimate(heuristic, neighbor.x, neighbor.y, neighbor.z);
+            neighbor.f = neighbor.g + neighbor.h;
+            neighbor.parent = parent;
+
+            if (!neighbor.opened) {
+                openList.push(neighbor);
+                neighbor.opened = true;
+                budget.open(neighbor, openList.size());
+            } else {
+                openList.updateItem(neighbor);
+                budget.reopen(neighbor, openList.size());
+            }
+        }
+    }
+};
+
+/**
+ * Get the cost of walking straight along a line of voxels (see
+ * Util.walkLine): that of the moves from voxel to voxel, with the distance
+ * they cover shortened to the straight distance between the ends of the
+ * line. Climbing and descending cost as much as along the moves.
+ * @protected
+ * @param {Grid} grid
+ * @param {Array.<[number, number, number]>} line
+ * @return {number}
+ */
+ThetaStarFinder.prototype._lineCost = function(grid, line) {
+    var agent = this.agent,
+        first = line[0],
+        last = line[line.length - 1],
+        straight = this._distance(first, last),
+        stepped = 0,
+        moving = 0,
+        rising = 0,
+        a, b, dz, i;
+
+    for (i = 1; i < line.length; ++i) {
+        a = toNode(line[i - 1]);
+        b = toNode(line[i]);
+        dz = b.z - a.z;
+        rising += dz > 0 ? dz * agent.climbCost : -dz * agent.descendCost;
+        moving += grid.getMoveCost(a, b, agent);
+        stepped += this._distance(line[i - 1], line[i]);
+    }
+    moving -= rising;
+
+    return (stepped ? moving * straight / stepped : 0) + rising;
+};
+
+/**
+ * Get the straight distance between two positions, across the ground for
+ * agents walking on it.
+ * @protected
+ * @param {[number, number, number]} a
+ * @param {[number, number, number]} b
+ * @return {number}
+ */
+ThetaStarFinder.prototype._distance = function(a, b) {
+    var dx = b[0] - a[0],
+        dy = b[1] - a[1],
+        dz = this.agent.fly ? b[2] - a[2] : 0;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+};
+
+/**
+ * Build the path to a node: the positions where it turns, followed by its
+ * parents, joined by the voxels walked in between.
+ * @protected
+ * @param {Node} node
+ * @param {Grid} grid
+ * @return {Array.<[number, number, number]>} The path, with the positions
+ *     where it turns as `path.waypoints`.
+ */
+ThetaStarFinder.prototype._trace = function(node, grid) {
+    var agent = this.agent,
+        waypoints = Util.backtrace(node).slice(),
+        path = waypoints.slice(0, 1),
+        from, to, line, i, j;
+
+    for (i = 1; i < waypoints.length; ++i) {
+        from = waypoints[i - 1];
+        to = waypoints[i];
+        line = isNextTo(from, to, agent.fly) ? null : Util.walkLine(grid, from, to, agent, this);
+        if (!line) {
+            path.push(to);
+            continue;
+        }
+        for (j = 1; j < line.length; ++j) {
+            path.push(line[j]);
+        }
+    }
+    path.moves = Util.pathMoves(path, agent);
+    path.waypoints = waypoints;
+    return path;
+};
+
+/**
+ * Get the tracer of the path to the closest node, given to Search#fail.
+ * @protected
+ */
+ThetaStarFinder.prototype._tracer = function(grid) {
+    var self = this;
+    return function(closest) {
+        return self._trace(closest, grid);
+    };
+};
+
+/**
+ * Get the position of a node as [x, y, z].
+ */
+function position(node) {
+    return [node.x, node.y, node.z];
+}
+
+/**
+ * Get a position as a node-like {x, y, z}, as Grid#getMoveCost takes.
+ */
+function toNode(position) {
+    return {x: position[0], y: position[1], z: position[2]};
+}
+
+/**
+ * Whether two positions are a single move apart: in neighboring columns,
+ * or neighboring voxels for agents flying.
+ */
+function isNextTo(a, b, fly) {
+    return Math.abs(a[0] - b[0]) <= 1 && Math.abs(a[1] - b[1]) <= 1 &&
+        (!fly || Math.abs(a[2] - b[2]) <= 1);
+}
+
+module.exports = ThetaStarFinder;
@@ -1,6 +1,8 @@
 var Heap       = require('heap');
 var Util       = require('../core/Util');
 var Heuristic  = require('../core/Heuristic');
+var Agent      = require('../core/Agent');
+var Budget     = require('../core/Budget');
 
 /**
  * A* path-finder.
@@ -13,31 +15,70 @@ var Heuristic  = require('../core/Heuristic');
  *     (defaults to manhattan).
  * @param {integer} opt.weight Weight to apply to the heuristic to allow for suboptimal paths,
  *     in order to speed up the search.
+ * @param {number} opt.maxNodes Most nodes a search may expand.
+ * @param {number} opt.maxTimeMs Longest a search may run, in milliseconds.
+ * @param {number} opt.maxCost Most a path may cost.
+ * @param {object} opt.observer Told how each search goes along (see PF.Budget).
+ * @param {Agent} opt.agent The agent to find paths for.
+ * @param {function} opt.walkable Walkability predicate of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.width Footprint of the agent along x and y, used
+ *     when opt.agent is not given.
+ * @param {number} opt.height Height of the agent, used when opt.agent is
+ *     not given.
+ * @param {number} opt.maxStepHeight Highest step up of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.maxFallHeight Deepest safe drop of the agent, used
+ *     when opt.agent is not given.
+ * @param {number} opt.jumpHeight Highest jump of the agent, used when
+ *     opt.agent is not given.
+ * @param {boolean} opt.fly Whether the agent flies or swims in all three
+ *     dimensions, used when opt.agent is not given.
+ * @param {object} opt.costs Movement cost multiplier of each voxel id,
+ *     used when opt.agent is not given.
+ * @param {number} opt.climbCost Extra cost per level risen, used when
+ *     opt.agent is not given.
+ * @param {number} opt.descendCost Extra cost per level dropped, used when
+ *     opt.agent is not given.
  */
 function TraceFinder(opt) {
     opt = opt || {};
     this.allowDiagonal = opt.allowDiagonal;
     this.dontCrossCorners = opt.dontCrossCorners;
     this.heuristic = opt.heuristic || Heuristic.manhattan;
+    this.maxNodes = opt.maxNodes;
+    this.maxTimeMs = opt.maxTimeMs;
+    this.maxCost = opt.maxCost;
+    this.observer = opt.observer;
+    this.agent = opt.agent || new Agent(opt);
 }
 
 /**
  * Find and return the the path.
- * @return {Array.<[number, number]>} The path, including both start and
- *     end positions.
+ * Takes the start and end coordinates, or the start and end points
+ * ({x, y, z} or [x, y, z]) followed by the grid.
+ * @return {Array.<[number, number, number]>} The path, including both
+ *     start and end positions, with how the search ended as `path.status`
+ *     (see PF.Status).
  */
-TraceFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
+TraceFinder.prototype.findPath = function(startX, startY, startZ, endX, endY, endZ, grid) {
+    if (typeof startX === 'object') {
+        return this.findPath.apply(this, Util.endpointArguments(arguments));
+    }
 
     var openList = new Heap(function(nodeA, nodeB) {
             return nodeA.f - nodeB.f;
         }),
-        startNode = grid.getNodeAt(startX, startY),
-        endNode = grid.getNodeAt(endX, endY),
+        nodes = grid.acquireNodes(),
+        startNode = nodes.get(startX, startY, startZ),
+        endNode = nodes.get(endX, endY, endZ),
+        budget = new Budget(this, endX, endY, endZ),
         heuristic = this.heuristic,
         allowDiagonal = this.allowDiagonal,
         dontCrossCorners = this.dontCrossCorners,
-        abs = Math.abs, SQRT2 = Math.SQRT2,
-        node, neighbors, neighbor, i, l, x, y, ng;
+        agent = this.agent,
+        abs = Math.abs,
+        node, neighbors, neighbor, i, l, x, y, z, ng, cost, path;
 
     // set the `g` and `f` value of the start node to be 0
     startNode.g = 0;
@@ -46,20 +87,28 @@ TraceFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
     // push the start node into the open list
     openList.push(startNode);
     startNode.opened = true;
+    budget.open(startNode, 1);
 
     // while the open list is not empty
     while (!openList.empty()) {
         // pop the position of node which has the minimum `f` value.
         node = openList.pop();
         node.closed = true;
+        budget.close(node);
 
         // if reached the end position, construct the path and return it
         if (node === endNode) {
-            return Util.backtrace(endNode);
+            path = budget.found(Util.backtrace(endNode, agent));
+            grid.releaseNodes(nodes);
+            return path;
+        }
+
+        if (!budget.expand(node)) {
+            break;
         }
 
         // get neigbours of the current node
-        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners);
+        neighbors = grid.getNeighbors(node, allowDiagonal, dontCrossCorners, agent, nodes);
 
         var ar = neighbors.length;
 
@@ -72,16 +121,25 @@ TraceFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
 
             x = neighbor.x;
             y = neighbor.y;
+            z = neighbor.z;
 
-            // get the distance between current node and the neighbor
+            // get the cost of moving from the current node to the neighbor
             // and calculate the next g score
-            ng = node.g + ((x - node.x === 0 || y - node.y === 0) ? 1 : SQRT2);
+            cost = grid.getMoveCost(node, neighbor, agent);
+            ng = node.g + cost;
+
+            // the trace magic skews `g`, so the cost of the path so far is
+            // kept apart for the budget
+            if (!budget.allows((node.cost || 0) + cost)) {
+                continue;
+            }
 
             // check if the neighbor has not been inspected yet, or
             // can be reached with smaller cost from the current node
             if (!neighbor.opened || ng < neighbor.g) {
                 neighbor.g = ng * ar/9; //the trace magic
-                neighbor.h = neighbor.h || heuristic(abs(x - endX), abs(y - endY));
+                neighbor.cost = (node.cost || 0) + cost;
+                neighbor.h = neighbor.h || heuristic(abs(x - endX), abs(y - endY), abs(z - endZ), endZ - z);
                 neighbor.f = neighbor.g + neighbor.h;
                 neighbor.parent = node;
 
@@ -89,6 +147,7 @@ TraceFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
                     //openList.push(neighbor);
                     openList.push(neighbor);
                     neighbor.opened = true;
+                    budget.open(neighbor, openList.size());
                 } else {
                     // the neighbor can be reached with smaller cost.
                     // Since its f value has been updated, we have to
@@ -96,13 +155,16 @@ TraceFinder.prototype.findPath = function(startX, startY, endX, endY, grid) {
 
                     //openList.updateItem(neighbor);
                     openList.updateItem(neighbor);
+                    budget.reopen(neighbor, openList.size());
                 }
             }
         } // end for each neighbor
     } // end while not open list empty
 
     // fail to find the path
-    return [];
+    path = budget.failed();
+    grid.releaseNodes(nodes);
+    return path;
 };
 
 module.exports = TraceFinder;
@@ -0,0 +1,6 @@
+/**
+ * Script of the worker_threads worker a PathService starts in Node.
+ */
+var PathWorker = require('./core/PathWorker');
+
+PathWorker.listen(require('worker_threads').parentPort);
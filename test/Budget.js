@@ -0,0 +1,33 @@
+var PF = require('..');
+
+describe('Budget', function() {
+    it('should find the closest node by the heuristic of the finder', function() {
+        // [0, 0, 0] is closer to the goal diagonally, [3, 8, 0] in straight lines
+        var octile = new PF.Budget({maxNodes: 5}, 3, 3, 0),
+            manhattan = new PF.Budget({maxNodes: 5, heuristic: PF.Heuristic.manhattan}, 3, 3, 0);
+        octile.approaches(0, 0, 0).should.be.true;
+        octile.approaches(3, 8, 0).should.be.false;
+        manhattan.approaches(0, 0, 0).should.be.true;
+        manhattan.approaches(3, 8, 0).should.be.true;
+    });
+
+    it('should find the closest node as the crow flies for finders without a heuristic', function() {
+        var budget = new PF.Budget(new PF.DijkstraFinder({maxNodes: 5}), 3, 3, 0);
+        budget.heuristic.should.equal(PF.Heuristic.octile);
+        budget.approaches(0, 0, 0).should.be.true;
+        budget.approaches(2, 2, 0).should.be.true;
+    });
+
+    it('should not count the time spent paused', function(done) {
+        var budget = new PF.Budget({}, 3, 3, 0),
+            elapsed;
+        budget.pause();
+        elapsed = budget.stats().elapsedMs;
+        setTimeout(function() {
+            budget.stats().elapsedMs.should.equal(elapsed);
+            budget.resume();
+            budget.stats().elapsedMs.should.be.below(elapsed + 20);
+            done();
+        }, 30);
+    });
+});
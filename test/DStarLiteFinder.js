@@ -0,0 +1,110 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('DStarLiteFinder', function() {
+    var STONE = 1, voxels, grid, finder;
+
+    // fill or empty a column of the wall, telling the finder about it
+    function setColumn(x, y, val) {
+        var z;
+        for (z = 2; z <= 4; ++z) {
+            voxels.voxelAtPosition([x, y, z], val);
+            finder.notifyVoxelChanged(x, y, z);
+        }
+    }
+
+    // the path a search from scratch finds
+    function freshPath(sx, sy, sz) {
+        return new PF.DStarLiteFinder().findPath(sx, sy, sz, 7, 0, 2, grid);
+    }
+
+    // a repaired path matches the one found from scratch, though it may
+    // have taken fewer nodes to find
+    function shouldMatchFreshPath(path, sx, sy, sz) {
+        var fresh = freshPath(sx, sy, sz);
+        path.slice().should.eql(fresh.slice());
+        path.moves.should.eql(fresh.moves);
+        path.status.should.equal(fresh.status);
+    }
+
+    beforeEach(function() {
+        // an 8x5 stone floor at z = 1, split by a wall at x = 4, too high
+        // to climb, with a gap at y = 4
+        voxels = new Voxels()
+            .fill(0, 0, 1, 7, 4, 1, STONE)
+            .fill(4, 0, 2, 4, 3, 4, STONE);
+        grid = new PF.Grid(voxels, {chunkSize: 4});
+        finder = new PF.DStarLiteFinder();
+    });
+
+    it('should find the shortest path', function() {
+        var path = finder.findPath(0, 0, 2, 7, 0, 2, grid);
+        path[0].should.eql([0, 0, 2]);
+        path[path.length - 1].should.eql([7, 0, 2]);
+        path.should.includeEql([4, 4, 2]);
+        path.length.should.equal(16);
+        path.moves.length.should.equal(15);
+    });
+
+    it('should keep its search as the agent moves along', function() {
+        var path = finder.findPath(0, 0, 2, 7, 0, 2, grid),
+            nodes = finder.nodes;
+        finder.findPath(path[3][0], path[3][1], path[3][2], 7, 0, 2, grid)
+            .slice().should.eql(path.slice(3));
+        finder.nodes.should.equal(nodes);
+    });
+
+    it('should only count the nodes a repair expands', function() {
+        var first = finder.findPath(0, 0, 2, 7, 0, 2, grid).stats;
+        setColumn(4, 0, 0);
+        finder.findPath(0, 0, 2, 7, 0, 2, grid).stats.expanded.should.be.below(first.expanded);
+    });
+
+    it('should repair the path when a voxel is removed', function() {
+        var nodes;
+        finder.findPath(0, 0, 2, 7, 0, 2, grid);
+        nodes = finder.nodes;
+        setColumn(4, 0, 0);
+        shouldMatchFreshPath(finder.findPath(0, 0, 2, 7, 0, 2, grid), 0, 0, 2);
+        finder.findPath(0, 0, 2, 7, 0, 2, grid).length.should.equal(8);
+        finder.nodes.should.equal(nodes);
+    });
+
+    it('should repair the path when a voxel is placed', function() {
+        var path = finder.findPath(0, 0, 2, 7, 0, 2, grid);
+        setColumn(4, 0, 0);
+        finder.findPath(path[2][0], path[2][1], path[2][2], 7, 0, 2, grid);
+        setColumn(4, 0, STONE);
+        setColumn(3, 4, STONE);
+        setColumn(4, 2, 0);
+        shouldMatchFreshPath(finder.findPath(path[2][0], path[2][1], path[2][2], 7, 0, 2, grid),
+            path[2][0], path[2][1], path[2][2]);
+    });
+
+    it('should return an empty path once the goal is cut off', function() {
+        finder.findPath(0, 0, 2, 7, 0, 2, grid);
+        setColumn(4, 4, STONE);
+        finder.findPath(0, 0, 2, 7, 0, 2, grid).slice().should.eql([]);
+    });
+
+    it('should carry on a search cut off by its budget on the next call', function() {
+        var path;
+        finder = new PF.DStarLiteFinder({maxNodes: 10});
+        path = finder.findPath(0, 0, 2, 7, 0, 2, grid);
+        path.status.should.equal(PF.Status.CUT_OFF);
+        path.slice().should.eql([[0, 0, 2]]);
+        while (path.status === PF.Status.CUT_OFF) {
+            path = finder.findPath(0, 0, 2, 7, 0, 2, grid);
+        }
+        path.status.should.equal(PF.Status.FOUND);
+        path.slice().should.eql(freshPath(0, 0, 2).slice());
+    });
+
+    it('should start over for another goal', function() {
+        var openList;
+        finder.findPath(0, 0, 2, 7, 0, 2, grid);
+        openList = finder.openList;
+        finder.findPath(0, 0, 2, 3, 0, 2, grid).length.should.equal(4);
+        finder.openList.should.not.equal(openList);
+    });
+});
@@ -0,0 +1,80 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('FlowField', function() {
+    var STONE = 1, voxels, grid;
+
+    beforeEach(function() {
+        // an 8x5 stone floor at z = 1, split by a wall at x = 4, too high
+        // to climb, with a gap at y = 4
+        voxels = new Voxels()
+            .fill(0, 0, 1, 7, 4, 1, STONE)
+            .fill(4, 0, 2, 4, 3, 4, STONE);
+        grid = new PF.Grid(voxels);
+    });
+
+    it('should know the cost to the target from every voxel', function() {
+        var field = new PF.DijkstraFinder().createFlowField(7, 0, 2, grid);
+        field.costAt(7, 0, 2).should.equal(0);
+        field.costAt(7, 4, 2).should.equal(4);
+        field.costAt(0, 0, 2).should.equal(15);
+        field.costAt(4, 0, 2).should.equal(Infinity);
+    });
+
+    it('should lead to the target', function() {
+        var field = new PF.DijkstraFinder().createFlowField(7, 0, 2, grid),
+            pos = [0, 0, 2], steps = 0;
+        while ((pos = field.nextStep(pos[0], pos[1], pos[2]))) {
+            field.costAt(pos[0], pos[1], pos[2]).should.equal(14 - steps);
+            steps += 1;
+        }
+        steps.should.equal(15);
+    });
+
+    it('should only cover voxels within its radius', function() {
+        var field = new PF.DijkstraFinder().createFlowField(7, 0, 2, grid, 4);
+        field.costAt(3, 4, 2).should.equal(8);
+        field.costAt(2, 4, 2).should.equal(Infinity);
+        (field.nextStep(2, 4, 2) === null).should.be.true;
+    });
+
+    it('should not grow when asked about positions it never reached', function() {
+        var field = new PF.DijkstraFinder().createFlowField(7, 0, 2, grid),
+            size = field.nodes.size,
+            chunks = Object.keys(field.nodes.chunks).length;
+        field.costAt(4, 0, 9).should.equal(Infinity);
+        field.costAt(-20, -20, 2).should.equal(Infinity);
+        (field.nextStep(-20, -20, 2) === null).should.be.true;
+        field.nodes.size.should.equal(size);
+        Object.keys(field.nodes.chunks).length.should.equal(chunks);
+    });
+
+    it('should only lead down ledges the agent cannot climb', function() {
+        var finder = new PF.DijkstraFinder({
+                agent: new PF.Agent({maxStepHeight: 0})
+            }),
+            field;
+        // a ledge one block high along x = 0 and 1
+        voxels.fill(0, 0, 2, 1, 4, 2, STONE);
+        field = finder.createFlowField(7, 0, 2, grid);
+        field.costAt(0, 0, 3).should.equal(15);
+        field.nextStep(1, 4, 3).should.eql([2, 4, 2]);
+        finder.createFlowField(0, 0, 3, grid).costAt(7, 0, 2).should.equal(Infinity);
+    });
+
+    it('should count moves when made by breadth-first search', function() {
+        var agent = new PF.Agent({costs: {1: 3}});
+        new PF.DijkstraFinder({agent: agent}).createFlowField(7, 0, 2, grid)
+            .costAt(0, 0, 2).should.equal(45);
+        new PF.BreadthFirstFinder({agent: agent}).createFlowField(7, 0, 2, grid)
+            .costAt(0, 0, 2).should.equal(15);
+    });
+
+    it('should hand its nodes back when released', function() {
+        var field = new PF.DijkstraFinder().createFlowField(7, 0, 2, grid),
+            nodes = field.nodes;
+        field.release();
+        field.costAt(0, 0, 2).should.equal(Infinity);
+        grid.acquireNodes().should.equal(nodes);
+    });
+});
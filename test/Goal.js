@@ -0,0 +1,50 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('Goal', function() {
+    it('should hold a single position', function() {
+        var goal = new PF.Goal(1, 2, 3);
+        goal.contains(1, 2, 3).should.be.true;
+        goal.contains(1, 2, 4).should.be.false;
+    });
+
+    it('should hold a list of points', function() {
+        var goal = new PF.Goal([[1, 2, 3], {x: 4, y: 5, z: 6}]);
+        goal.contains(1, 2, 3).should.be.true;
+        goal.contains(4, 5, 6).should.be.true;
+        goal.contains(4, 5, 7).should.be.false;
+    });
+
+    it('should ask its predicate', function() {
+        var goal = new PF.Goal(function(x, y, z) {
+            return z === 0;
+        });
+        goal.contains(7, 8, 0).should.be.true;
+        goal.contains(7, 8, 1).should.be.false;
+    });
+
+    it('should estimate the distance to the nearest point', function() {
+        var goal = new PF.Goal([[10, 0, 0], [0, 3, 0], [0, 0, -2]]);
+        goal.estimate(PF.Heuristic.manhattan, 0, 0, 0).should.equal(2);
+        goal.estimate(PF.Heuristic.manhattan, 9, 0, 0).should.equal(1);
+        new PF.Goal(function() {
+            return false;
+        }).estimate(PF.Heuristic.manhattan, 5, 5, 5).should.equal(0);
+    });
+
+    it('should tell several goals from a single point', function() {
+        PF.Goal.isSet([[1, 2, 3]]).should.be.true;
+        PF.Goal.isSet([{x: 1, y: 2, z: 3}]).should.be.true;
+        PF.Goal.isSet(function() {}).should.be.true;
+        PF.Goal.isSet([1, 2, 3]).should.be.false;
+        PF.Goal.isSet({x: 1, y: 2, z: 3}).should.be.false;
+    });
+
+    it('should not be given to finders searching for a single point', function() {
+        var grid = new PF.Grid(new Voxels()),
+            finder = new PF.BiAStarFinder();
+        (function() {
+            finder.findPath([0, 0, 0], [[1, 0, 0], [2, 0, 0]], grid);
+        }).should.throw();
+    });
+});
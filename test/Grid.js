@@ -1,124 +1,417 @@
 var Grid = require('..').Grid;
 
-describe('Grid', function() {
-    describe('generate without matrix', function() {
-        var width, height, grid;
+describe('Voxel grid', function() {
+    var PF = require('..'),
+        Voxels = require('./Voxels'),
+        STONE = 1, LADDER = 2, WATER = 3, LAVA = 4, BARRIER = 5,
+        voxels, grid;
 
-        beforeEach(function() {
-            width = 10;
-            height = 20;
-            grid = new Grid(width, height);
+    beforeEach(function() {
+        // a 5x5 stone floor at z 0, agents stand at z 1
+        voxels = new Voxels().fill(0, 0, 0, 4, 4, 0, STONE);
+        grid = new Grid(voxels, {
+            materials: {
+                2: PF.Material.CLIMBABLE,
+                3: PF.Material.LIQUID,
+                4: PF.Material.HAZARDOUS,
+                5: PF.Material.FORBIDDEN
+            }
         });
+    });
 
-        it('should have correct size', function() {
-            grid.width.should.equal(width);
-            grid.height.should.equal(height);
+    describe('walkability rules', function() {
+        it('should classify voxel ids by material', function() {
+            grid.getMaterialAt(0, 0, 0).should.equal(PF.Material.SOLID);
+            grid.getMaterialAt(0, 0, 1).should.equal(PF.Material.PASSABLE);
+            grid.getMaterial(LADDER).should.equal(PF.Material.CLIMBABLE);
+            grid.getMaterial(42).should.equal(PF.Material.SOLID);
+        });
 
-            grid.nodes.length.should.equal(height);
-            for (var i = 0; i < height; ++i) {
-                grid.nodes[i].length.should.equal(width); 
-            }
+        it('should require support below empty voxels', function() {
+            grid.isWalkableAt(1, 1, 1).should.be.true;
+            grid.isWalkableAt(1, 1, 2).should.be.false;
+            grid.isWalkableAt(1, 1, 0).should.be.false;
+        });
+
+        it('should let agents stand in climbable and liquid voxels', function() {
+            voxels.fill(1, 1, 1, 1, 1, 3, LADDER);
+            voxels.voxelAtPosition([3, 3, 2], WATER);
+            grid.isWalkableAt(1, 1, 3).should.be.true;
+            grid.isWalkableAt(1, 1, 4).should.be.true;
+            grid.isWalkableAt(3, 3, 2).should.be.true;
         });
 
-        it('should set all nodes\' walkable attribute', function() {
-            for (var i = 0; i < height; ++i) {
-                for (var j = 0; j < width; ++j) {
-                    grid.isWalkableAt(j, i).should.be.true;
+        it('should keep agents out of hazardous and forbidden voxels', function() {
+            voxels.voxelAtPosition([1, 1, 1], LAVA);
+            voxels.voxelAtPosition([2, 2, 1], BARRIER);
+            grid.isWalkableAt(1, 1, 1).should.be.false;
+            grid.isWalkableAt(1, 1, 2).should.be.false;
+            grid.isWalkableAt(2, 2, 1).should.be.false;
+        });
+
+        it('should prefer the agent predicate over the grid rule', function() {
+            var fireproof = new PF.Agent({
+                walkable: function(x, y, z, g) {
+                    return g.getMaterialAt(x, y, z) === PF.Material.HAZARDOUS ||
+                           g.isStandableAt(x, y, z);
                 }
-            }
+            });
+            voxels.voxelAtPosition([1, 1, 1], LAVA);
+            voxels.voxelAtPosition([2, 2, 1], BARRIER);
+            grid.isWalkableAt(1, 1, 1, fireproof).should.be.true;
+            grid.isWalkableAt(2, 2, 1, new PF.Agent({
+                walkable: function() { return true; }
+            })).should.be.false;
+        });
+
+        it('should hand the agent predicate to getNeighbors', function() {
+            var agent = new PF.Agent({
+                walkable: function(x, y, z, g) {
+                    return x !== 3 && g.isStandableAt(x, y, z);
+                }
+            });
+            var coords = function(nodes) {
+                return nodes.map(function(n) {
+                    return [n.x, n.y, n.z];
+                }).sort();
+            };
+            coords(grid.getNeighbors(grid.getNodeAt(2, 2, 1))).should.eql(
+                [[1, 2, 1], [2, 1, 1], [2, 3, 1], [3, 2, 1]]
+            );
+            coords(grid.getNeighbors(grid.getNodeAt(2, 2, 1), false, false, agent)).should.eql(
+                [[1, 2, 1], [2, 1, 1], [2, 3, 1]]
+            );
         });
     });
 
-    describe('generate with matrix', function() {
-        var matrix, grid, width, height;
+    describe('agent size', function() {
+        var tall = new PF.Agent({height: 2}),
+            wide = new PF.Agent({width: 2}),
+            has = function(nodes, x, y, z) {
+                return nodes.some(function(n) {
+                    return n.x === x && n.y === y && n.z === z;
+                });
+            };
+
+        it('should require headroom for the whole height', function() {
+            voxels.voxelAtPosition([2, 2, 2], STONE);
+            grid.isWalkableAt(2, 2, 1).should.be.true;
+            grid.isWalkableAt(2, 2, 1, tall).should.be.false;
+        });
+
+        it('should require room for the whole footprint', function() {
+            grid.isWalkableAt(3, 3, 1, wide).should.be.true;
+            voxels.voxelAtPosition([4, 3, 1], STONE);
+            grid.isWalkableAt(3, 3, 1, wide).should.be.false;
+        });
+
+        it('should let a wide agent overhang an edge', function() {
+            grid.isWalkableAt(4, 4, 1, wide).should.be.true;
+            grid.isWalkableAt(5, 5, 1, wide).should.be.false;
+        });
+
+        it('should not step up without room overhead', function() {
+            voxels.voxelAtPosition([3, 2, 1], STONE);
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1)), 3, 2, 2).should.be.true;
+            voxels.voxelAtPosition([2, 2, 2], STONE);
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1)), 3, 2, 2).should.be.false;
+        });
+
+        it('should check clearance at the corners of diagonal moves', function() {
+            voxels.voxelAtPosition([3, 2, 2], STONE);
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1), true, true), 3, 3, 1).should.be.true;
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1), true, true, tall), 3, 3, 1).should.be.false;
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1), true, false, tall), 3, 3, 1).should.be.true;
+        });
+    });
+
+    describe('vertical movement', function() {
+        var has = function(nodes, x, y, z) {
+            return nodes.some(function(n) {
+                return n.x === x && n.y === y && n.z === z;
+            });
+        };
+
+        beforeEach(function() {
+            // a three block high tower east of (2, 2, 1)
+            voxels.fill(3, 2, 1, 3, 2, 3, STONE);
+        });
+
+        it('should step up one block by default', function() {
+            voxels.fill(3, 2, 2, 3, 2, 3, 0);
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1)), 3, 2, 2).should.be.true;
+        });
+
+        it('should jump up to the jump height', function() {
+            var node = grid.getNodeAt(2, 2, 1);
+            has(grid.getNeighbors(node), 3, 2, 4).should.be.false;
+            has(grid.getNeighbors(node, false, false, new PF.Agent({
+                jumpHeight: 2
+            })), 3, 2, 4).should.be.false;
+            has(grid.getNeighbors(node, false, false, new PF.Agent({
+                jumpHeight: 3
+            })), 3, 2, 4).should.be.true;
+        });
+
+        it('should not jump without room overhead', function() {
+            voxels.voxelAtPosition([2, 2, 3], STONE);
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1), false, false, new PF.Agent({
+                jumpHeight: 3
+            })), 3, 2, 4).should.be.false;
+        });
+
+        it('should drop down to the fall height', function() {
+            var node = grid.getNodeAt(3, 2, 4);
+            has(grid.getNeighbors(node), 2, 2, 1).should.be.false;
+            has(grid.getNeighbors(node, false, false, new PF.Agent({
+                maxFallHeight: 3
+            })), 2, 2, 1).should.be.true;
+        });
+
+        it('should not drop through an overhang', function() {
+            voxels.voxelAtPosition([2, 2, 3], STONE);
+            has(grid.getNeighbors(grid.getNodeAt(3, 2, 4), false, false, new PF.Agent({
+                maxFallHeight: 3
+            })), 2, 2, 1).should.be.false;
+        });
+
+        it('should climb straight up and down a ladder', function() {
+            var up, down;
+            // a ladder up the west face of the tower
+            voxels.fill(2, 2, 1, 2, 2, 3, LADDER);
+            up = grid.getNeighbors(grid.getNodeAt(2, 2, 2));
+            has(up, 2, 2, 3).should.be.true;
+            has(up, 2, 2, 1).should.be.true;
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 3)), 2, 2, 4).should.be.true;
+            down = grid.getNeighbors(grid.getNodeAt(2, 2, 4));
+            has(down, 2, 2, 3).should.be.true;
+            has(down, 3, 2, 4).should.be.true;
+            // but not up the air above
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 4)), 2, 2, 5).should.be.false;
+        });
+
+        it('should find a path up a ladder onto a ledge', function() {
+            var path, moves;
+            // a five high ledge, with a ladder up its west face
+            voxels.fill(3, 0, 1, 4, 4, 5, STONE).fill(2, 3, 1, 2, 3, 5, LADDER);
+            path = new PF.AStarFinder().findPath(0, 0, 1, 4, 3, 6, grid);
+            path.status.should.equal(PF.Status.FOUND);
+            path[path.length - 1].should.eql([4, 3, 6]);
+            moves = PF.Util.describePath(path, grid).steps.map(function(step) {
+                return step.move;
+            });
+            moves.filter(function(move) {
+                return move === PF.Move.CLIMB;
+            }).length.should.equal(5);
+        });
 
-        var enumPos = function(f, o) {
-            for (var y = 0; y < height; ++y) {
-                for (var x = 0; x < width; ++x) {
-                    if (o) {
-                        f.call(o, x, y, grid);
-                    } else {
-                        f(x, y, grid);
+        it('should swim straight up and down through water', function() {
+            voxels.fill(1, 1, 1, 1, 1, 2, WATER);
+            has(grid.getNeighbors(grid.getNodeAt(1, 1, 1)), 1, 1, 2).should.be.true;
+            has(grid.getNeighbors(grid.getNodeAt(1, 1, 2)), 1, 1, 1).should.be.true;
+        });
+
+        it('should list the nodes moving to a node as its predecessors', function() {
+            var agent = new PF.Agent({maxFallHeight: 3}),
+                predecessors = grid.getPredecessors(grid.getNodeAt(2, 2, 1), false, false, agent);
+            // the top of the tower drops down, but cannot be reached back
+            has(predecessors, 3, 2, 4).should.be.true;
+            has(grid.getNeighbors(grid.getNodeAt(2, 2, 1), false, false, agent), 3, 2, 4).should.be.false;
+            has(predecessors, 1, 2, 1).should.be.true;
+            has(predecessors, 1, 1, 1).should.be.false;
+            has(grid.getPredecessors(grid.getNodeAt(2, 2, 1), true, false, agent), 1, 1, 1).should.be.true;
+        });
+
+        it('should list as predecessors exactly the nodes listing a node as neighbor', function() {
+            var agents = [
+                    undefined,
+                    new PF.Agent({maxFallHeight: 3, jumpHeight: 2}),
+                    new PF.Agent({width: 2, height: 2})
+                ],
+                x, y, z;
+            // rugged ground of columns up to four high, with a ledge
+            // overhanging the middle, a ladder and a pool of water
+            for (y = 0; y < 5; ++y) {
+                for (x = 0; x < 5; ++x) {
+                    voxels.fill(x, y, 0, x, y, (x * 7 + y * 3) % 5, STONE);
+                }
+            }
+            voxels.fill(2, 1, 5, 3, 2, 5, STONE).fill(0, 4, 1, 0, 4, 4, LADDER)
+                .fill(4, 3, 3, 4, 3, 4, WATER);
+
+            agents.forEach(function(agent) {
+                [[false, false], [true, false], [true, true]].forEach(function(opt) {
+                    for (z = 0; z < 7; ++z) {
+                        for (y = 0; y < 5; ++y) {
+                            for (x = 0; x < 5; ++x) {
+                                shouldInvertNeighbors(grid.getNodeAt(x, y, z, agent), opt[0], opt[1], agent);
+                            }
+                        }
+                    }
+                });
+            });
+        });
+
+        // the predecessors of a node, checked against every node around
+        function shouldInvertNeighbors(node, allowDiagonal, dontCrossCorners, agent) {
+            var expected = [],
+                x, y, z, candidate;
+            for (z = node.z - 4; z <= node.z + 4; ++z) {
+                for (y = node.y - 1; y <= node.y + 1; ++y) {
+                    for (x = node.x - 1; x <= node.x + 1; ++x) {
+                        candidate = grid.getNodeAt(x, y, z, agent);
+                        if (candidate.walkable && grid.getNeighbors(candidate, allowDiagonal, dontCrossCorners, agent)
+                                .indexOf(node) !== -1) {
+                            expected.push([x, y, z].join('|'));
+                        }
                     }
                 }
             }
-        };
+            grid.getPredecessors(node, allowDiagonal, dontCrossCorners, agent).map(function(p) {
+                return [p.x, p.y, p.z].join('|');
+            }).sort().should.eql(expected.sort(), 'predecessors of ' + [node.x, node.y, node.z]);
+        }
+    });
+
+    describe('movement costs', function() {
+        var ROAD = 6, MUD = 7, SHALLOWS = 8,
+            agent = new PF.Agent({
+                costs: {6: 0.5, 7: 3, 8: 2},
+                climbCost: 1,
+                descendCost: 0.25
+            });
 
         beforeEach(function() {
-            matrix = [
-                [1, 0, 0, 1],
-                [0, 1, 0, 0],
-                [0, 1, 0, 0],
-                [0, 0, 0, 0],
-                [1, 0, 0, 1],
-            ];
-            height = matrix.length;
-            width = matrix[0].length;
-            grid = new Grid(width, height, matrix);
-        });
-
-        it('should have correct size', function() {
-            grid.width.should.equal(width);
-            grid.height.should.equal(height);
-
-            grid.nodes.length.should.equal(height);
-            for (var i = 0; i < height; ++i) {
-                grid.nodes[i].length.should.equal(width); 
+            voxels.voxelAtPosition([1, 0, 0], ROAD);
+            voxels.voxelAtPosition([2, 0, 0], MUD);
+            voxels.voxelAtPosition([3, 0, 1], SHALLOWS);
+            voxels.voxelAtPosition([3, 0, 0], ROAD);
+        });
+
+        it('should cost the distance without an agent', function() {
+            grid.getMoveCost(new PF.Node(0, 0, 1), new PF.Node(1, 0, 1)).should.equal(1);
+            grid.getMoveCost(new PF.Node(0, 0, 1), new PF.Node(1, 1, 1)).should.equal(Math.SQRT2);
+        });
+
+        it('should scale the distance by the cost of the ground', function() {
+            grid.getMoveCost(new PF.Node(0, 0, 1), new PF.Node(1, 0, 1), agent).should.equal(0.5);
+            grid.getMoveCost(new PF.Node(1, 0, 1), new PF.Node(2, 0, 1), agent).should.equal(3);
+            grid.getMoveCost(new PF.Node(0, 1, 1), new PF.Node(1, 1, 1), agent).should.equal(1);
+        });
+
+        it('should prefer the cost of the voxel entered', function() {
+            grid.getMoveCost(new PF.Node(2, 0, 1), new PF.Node(3, 0, 1), agent).should.equal(2);
+        });
+
+        it('should add the climb and descend costs', function() {
+            grid.getMoveCost(new PF.Node(0, 1, 1), new PF.Node(1, 1, 3), agent).should.equal(3);
+            grid.getMoveCost(new PF.Node(0, 1, 3), new PF.Node(1, 1, 1), agent).should.equal(1.5);
+        });
+    });
+
+    describe('reachable', function() {
+        // cost of reaching the given position, if it was reached
+        var costTo = function(reached, x, y, z) {
+            var i, positions = reached.positions;
+            for (i = 0; i < reached.size; ++i) {
+                if (positions[i * 3] === x && positions[i * 3 + 1] === y &&
+                    positions[i * 3 + 2] === z) {
+                    return reached.costs[i];
+                }
             }
+        };
+
+        it('should find the positions within the budget', function() {
+            var reached = grid.reachable([2, 2, 1], 1);
+            reached.size.should.equal(5);
+            Array.prototype.slice.call(reached.positions, 0, 3).should.eql([2, 2, 1]);
+            reached.costs[0].should.equal(0);
+            costTo(reached, 2, 1, 1).should.equal(1);
+            (costTo(reached, 1, 1, 1) === undefined).should.be.true;
+            grid.reachable({x: 2, y: 2, z: 1}, 2).size.should.equal(13);
+        });
+
+        it('should move diagonally when allowed', function() {
+            var reached = grid.reachable([2, 2, 1], 1.5, {allowDiagonal: true});
+            reached.size.should.equal(9);
+            costTo(reached, 1, 1, 1).should.equal(Math.SQRT2);
+        });
+
+        it('should not cross corners when asked not to', function() {
+            voxels.fill(3, 2, 1, 3, 2, 2, STONE);
+            costTo(grid.reachable([2, 2, 1], 1.5, {
+                allowDiagonal: true
+            }), 3, 3, 1).should.equal(Math.SQRT2);
+            (costTo(grid.reachable([2, 2, 1], 1.5, {
+                allowDiagonal: true,
+                dontCrossCorners: true
+            }), 3, 3, 1) === undefined).should.be.true;
+        });
+
+        it('should follow the movement rules and costs of the agent', function() {
+            var agent = new PF.Agent({jumpHeight: 3, costs: {7: 3}});
+            voxels.fill(3, 2, 1, 3, 2, 3, STONE);
+            voxels.voxelAtPosition([1, 2, 0], 7);
+            (costTo(grid.reachable([2, 2, 1], 3), 3, 2, 4) === undefined).should.be.true;
+            costTo(grid.reachable([2, 2, 1], 3, {agent: agent}), 3, 2, 4).should.equal(1);
+            (costTo(grid.reachable([2, 2, 1], 2, {agent: agent}), 1, 2, 1) === undefined).should.be.true;
+            costTo(grid.reachable([2, 2, 1], 3, {agent: agent}), 1, 2, 1).should.equal(3);
+        });
+    });
+
+    describe('flying agents', function() {
+        var bird = new PF.Agent({fly: true}),
+            coords = function(nodes) {
+                return nodes.map(function(n) {
+                    return [n.x - 2, n.y - 2, n.z - 2];
+                });
+            };
+
+        it('should treat every empty voxel as walkable', function() {
+            grid.isWalkableAt(2, 2, 3).should.be.false;
+            grid.isWalkableAt(2, 2, 3, bird).should.be.true;
+            grid.isWalkableAt(2, 2, 0, bird).should.be.false;
         });
 
-        it('should initiate all nodes\' walkable attribute', function() {
-            enumPos(function(x, y, g) {
-                if (matrix[y][x]) {
-                    g.isWalkableAt(x, y).should.be.false;
-                } else {
-                    g.isWalkableAt(x, y).should.be.true;
+        it('should narrow down voxels with the agent predicate', function() {
+            var fish = new PF.Agent({
+                fly: true,
+                walkable: function(x, y, z, g) {
+                    return g.getMaterialAt(x, y, z) === PF.Material.LIQUID;
                 }
             });
+            voxels.voxelAtPosition([2, 2, 3], WATER);
+            grid.isWalkableAt(2, 2, 3, fish).should.be.true;
+            grid.isWalkableAt(2, 2, 4, fish).should.be.false;
         });
 
-        it('should be able to set nodes\' walkable attribute', function() {
-            enumPos(function(x, y) {
-                grid.setWalkableAt(x, y, false); 
-            });
-            enumPos(function(x, y) {
-                grid.isWalkableAt(x, y).should.be.false;
-            })
-            enumPos(function(x, y) {
-                grid.setWalkableAt(x, y, true); 
-            });
-            enumPos(function(x, y) {
-                grid.isWalkableAt(x, y).should.be.true;
-            })
-        });
-
-        it('should return correct answer for position validity query', function() {
-            var asserts = [
-                [0, 0, true],
-                [0, height - 1, true],
-                [width - 1, 0, true],
-                [width - 1, height - 1, true],
-                [-1, -1, false],
-                [0, -1, false],
-                [-1, 0, false],
-                [0, height, false],
-                [width, 0, false],
-                [width, height, false],
-            ];
-            
-            asserts.forEach(function(v, i, a) {
-                grid.isInside(v[0], v[1]).should.equal(v[2]);
-            });
+        it('should move to the 6 face neighbors', function() {
+            coords(grid.getNeighbors(grid.getNodeAt(2, 2, 2), false, false, bird)).length.should.equal(6);
         });
 
-        it('should return correct neighbors', function() {
-            grid.getNeighbors(grid.nodes[1][0]).should.eql([ grid.nodes[2][0] ]);
-            var cmp = function(a, b) {
-                return a.x * 100 + a.y - b.x * 100 - b.y;
-            };
-            grid.getNeighbors(grid.nodes[0][2], true).sort(cmp).should.eql([
-                grid.nodes[0][1], grid.nodes[1][2], grid.nodes[1][3]
-            ].sort(cmp))
+        it('should move to all 26 neighbors', function() {
+            coords(grid.getNeighbors(grid.getNodeAt(2, 2, 2), true, false, bird)).length.should.equal(26);
+        });
+
+        it('should not cross the edges and vertices of solid voxels', function() {
+            var node = grid.getNodeAt(2, 2, 2),
+                open, strict;
+            voxels.voxelAtPosition([3, 2, 2], STONE);
+            open = coords(grid.getNeighbors(node, true, false, bird));
+            strict = coords(grid.getNeighbors(node, true, true, bird));
+            open.length.should.equal(25);
+            // 4 edges and 4 vertices touch the face at +x
+            strict.length.should.equal(17);
+            strict.should.not.includeEql([1, 1, 0]);
+            strict.should.not.includeEql([1, 1, 1]);
+            strict.should.includeEql([0, 1, 1]);
+        });
+
+        it('should cost 1, sqrt(2) and sqrt(3) across faces, edges and vertices', function() {
+            var node = new PF.Node(2, 2, 2);
+            grid.getMoveCost(node, new PF.Node(2, 2, 3), bird).should.equal(1);
+            grid.getMoveCost(node, new PF.Node(3, 2, 3), bird).should.equal(Math.SQRT2);
+            grid.getMoveCost(node, new PF.Node(3, 3, 3), bird).should.equal(Math.sqrt(3));
         });
     });
 });
@@ -0,0 +1,159 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('HPAStarFinder', function() {
+    var STONE = 1, voxels, grid, finder;
+
+    // every step of a walking path moves to an adjacent column
+    function shouldBeConnected(path) {
+        var i;
+        for (i = 1; i < path.length; ++i) {
+            Math.abs(path[i][0] - path[i - 1][0]).should.be.below(2);
+            Math.abs(path[i][1] - path[i - 1][1]).should.be.below(2);
+        }
+    }
+
+    // fill or empty a column of the wall, telling the finder about it
+    function setColumn(x, y, val) {
+        var z;
+        for (z = 2; z <= 4; ++z) {
+            voxels.voxelAtPosition([x, y, z], val);
+            finder.notifyVoxelChanged(x, y, z);
+        }
+    }
+    function close(x, y) { setColumn(x, y, STONE); }
+    function open(x, y) { setColumn(x, y, 0); }
+
+    beforeEach(function() {
+        // a 12x4 stone floor at z = 1, split by a wall at x = 6, too high to climb, with a gap at y = 3
+        voxels = new Voxels()
+            .fill(0, 0, 1, 11, 3, 1, STONE)
+            .fill(6, 0, 2, 6, 2, 4, STONE);
+        grid = new PF.Grid(voxels, {chunkSize: 4});
+        finder = new PF.HPAStarFinder();
+    });
+
+    it('should find a path across clusters', function() {
+        var path = finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        path[0].should.eql([0, 0, 2]);
+        path[path.length - 1].should.eql([11, 0, 2]);
+        path.should.includeEql([6, 3, 2]);
+        path.moves.length.should.equal(path.length - 1);
+        shouldBeConnected(path);
+    });
+
+    it('should find a path within a single cluster', function() {
+        var path = finder.findPath(0, 0, 2, 3, 3, 2, grid);
+        path.length.should.equal(7);
+        shouldBeConnected(path);
+    });
+
+    it('should leave its cluster when the way round is shorter', function() {
+        var path;
+        // a wall across the first cluster, open at y = 0, and a shorter
+        // way round it through the next cluster, along y = 4
+        voxels.fill(0, 4, 1, 3, 4, 1, STONE).fill(2, 1, 2, 2, 3, 4, STONE);
+        path = finder.findPath(0, 3, 2, 3, 3, 2, grid);
+        path.length.should.equal(6);
+        path.should.includeEql([2, 4, 2]);
+        shouldBeConnected(path);
+    });
+
+    it('should find a path out of its cluster when there is none within', function() {
+        var path;
+        // the goal's corner of the first cluster only reached from the next
+        voxels.fill(0, 4, 1, 3, 4, 1, STONE).fill(0, 2, 2, 2, 2, 4, STONE).fill(2, 3, 2, 2, 3, 4, STONE);
+        path = finder.findPath(0, 0, 2, 0, 3, 2, grid);
+        path[path.length - 1].should.eql([0, 3, 2]);
+        path.should.includeEql([3, 4, 2]);
+        shouldBeConnected(path);
+    });
+
+    it('should search the goal\'s cluster for the ways to the goal just once', function() {
+        var search = finder._searchCluster,
+            toGoal = 0;
+        finder._searchCluster = function(source) {
+            if (source[0] === 11 && source[1] === 0) {
+                toGoal += 1;
+            }
+            return search.apply(this, arguments);
+        };
+        finder.findPath(0, 0, 2, 11, 0, 2, grid).length.should.be.above(0);
+        toGoal.should.equal(1);
+    });
+
+    it('should only build the clusters it searches through', function() {
+        finder.findPath(0, 0, 2, 3, 0, 2, grid);
+        Object.keys(finder.clusters).should.eql([]);
+        finder.findPath(0, 0, 2, 3, 3, 2, grid);
+        Object.keys(finder.clusters).should.eql(['0|0|0']);
+        finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        finder.clusters.should.have.property('0|0|0');
+        finder.clusters.should.not.have.property('0|0|1');
+    });
+
+    it('should keep edges only for entrances, not for where searches start', function() {
+        var edges;
+        finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        finder.findPath(1, 1, 2, 11, 0, 2, grid);
+        edges = finder.clusters['0|0|0'].edges;
+        edges.should.not.have.property('0|0|2');
+        edges.should.not.have.property('1|1|2');
+        Object.keys(edges).length.should.be.above(0);
+    });
+
+    it('should return an empty path when the goal cannot be reached', function() {
+        close(6, 3);
+        finder.findPath(0, 0, 2, 11, 0, 2, grid).slice().should.eql([]);
+    });
+
+    it('should stop short when over its budget', function() {
+        var path;
+        close(6, 3);
+        path = finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        path.status.should.equal(PF.Status.UNREACHABLE);
+        open(6, 3);
+        path = new PF.HPAStarFinder({maxCost: 8}).findPath(0, 0, 2, 11, 0, 2, grid);
+        path.status.should.equal(PF.Status.CUT_OFF);
+        path[0].should.eql([0, 0, 2]);
+        shouldBeConnected(path);
+        new PF.HPAStarFinder({maxNodes: 1}).findPath(0, 0, 2, 11, 0, 2, grid)
+            .status.should.equal(PF.Status.CUT_OFF);
+    });
+
+    it('should tell its observer about the entrances it searches', function() {
+        var closed = [], path;
+        finder.observer = {
+            onClose: function(entry) {
+                closed.push([entry.x, entry.y, entry.z]);
+            }
+        };
+        path = finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        closed[0].should.eql([0, 0, 2]);
+        closed[closed.length - 1].should.eql([11, 0, 2]);
+        path.stats.opened.should.be.above(closed.length - 1);
+    });
+
+    it('should only rebuild the clusters around a changed voxel', function() {
+        var path;
+        finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        finder.precompute(grid, 0, 0, 0, 11, 3, 3);
+
+        close(6, 3);
+        open(6, 0);
+
+        finder.clusters.should.not.have.property('1|0|0');
+        finder.clusters.should.have.property('0|0|0');
+
+        path = finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        path.should.includeEql([6, 0, 2]);
+        path.should.not.includeEql([6, 3, 2]);
+        shouldBeConnected(path);
+    });
+
+    it('should forget the graph when given another grid', function() {
+        finder.findPath(0, 0, 2, 11, 0, 2, grid);
+        finder.findPath(0, 0, 2, 11, 0, 2, grid.clone()).length.should.be.above(0);
+        finder.grid.should.not.equal(grid);
+    });
+});
@@ -0,0 +1,70 @@
+var PF = require('..');
+
+describe('Heuristic', function() {
+    var near = function(actual, expected) {
+        Math.abs(actual - expected).should.be.below(1e-9);
+    };
+
+    describe('octile', function() {
+        it('should cost faces, edges and vertices', function() {
+            near(PF.Heuristic.octile(3, 0, 0), 3);
+            near(PF.Heuristic.octile(2, 2, 0), 2 * Math.SQRT2);
+            near(PF.Heuristic.octile(1, 1, 1), Math.sqrt(3));
+        });
+
+        it('should not depend on the order of the axes', function() {
+            near(PF.Heuristic.octile(1, 4, 2), PF.Heuristic.octile(4, 2, 1));
+            near(PF.Heuristic.octile(1, 4, 2),
+                 Math.sqrt(3) + Math.SQRT2 + 2);
+        });
+    });
+
+    describe('movement', function() {
+        it('should ignore z for walking agents', function() {
+            var h = PF.Heuristic.movement({});
+            near(h(3, 1, 5, 5), 2 + Math.SQRT2);
+        });
+
+        it('should scale by the cheapest voxel cost', function() {
+            var h = PF.Heuristic.movement({costs: {1: 0.5, 2: 3}});
+            near(h(4, 0, 0, 0), 2);
+        });
+
+        it('should charge the climb or descend cost of the rise', function() {
+            var h = PF.Heuristic.movement(new PF.Agent({
+                climbCost: 2,
+                descendCost: 0.5
+            }));
+            near(h(1, 0, 3, 3), 7);
+            near(h(1, 0, 3, -3), 2.5);
+            near(h(1, 0, 3), 2.5);
+        });
+
+        it('should build heuristics when called detached', function() {
+            var movement = PF.Heuristic.movement,
+                h = movement({});
+            near(h(3, 1, 0, 0), 2 + Math.SQRT2);
+        });
+
+        it('should scale the distance it is given instead of the octile one', function() {
+            var h = PF.Heuristic.movement({}, PF.Heuristic.euclidean);
+            near(h(3, 4, 2, 0), 5);
+        });
+
+        it('should use the 3D octile distance for flying agents', function() {
+            var h = PF.Heuristic.movement({fly: true});
+            near(h(1, 1, 1, 0), Math.sqrt(3));
+        });
+
+        it('should never overestimate the cost of a path', function() {
+            var voxels = new (require('./Voxels'))().fill(0, 0, 0, 4, 4, 0, 1),
+                grid = new PF.Grid(voxels),
+                agent = new PF.Agent({costs: {1: 0.5}, climbCost: 1}),
+                h = PF.Heuristic.movement(agent),
+                a = new PF.Node(0, 0, 1),
+                b = new PF.Node(1, 1, 2);
+            voxels.voxelAtPosition([1, 1, 1], 1);
+            h(1, 1, 1, 1).should.not.be.above(grid.getMoveCost(a, b, agent));
+        });
+    });
+});
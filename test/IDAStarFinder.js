@@ -0,0 +1,40 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('IDAStarFinder', function() {
+    var STONE = 1, grid;
+
+    beforeEach(function() {
+        // a 5x5 stone floor at z = 1, with a wall to go around across it
+        grid = new PF.Grid(new Voxels()
+            .fill(0, 0, 1, 4, 4, 1, STONE)
+            .fill(2, 0, 2, 2, 3, 3, STONE));
+    });
+
+    it('should open each node once a deepening pass, and reopen it after', function() {
+        var opens = {},
+            reopens = 0,
+            observer = {
+                onOpen: function(node, reopened) {
+                    var key = [node.x, node.y, node.z].join('|');
+                    if (reopened) {
+                        reopens += 1;
+                    } else {
+                        opens[key] = (opens[key] || 0) + 1;
+                    }
+                }
+            },
+            path = new PF.IDAStarFinder({observer: observer}).findPath(0, 0, 2, 4, 0, 2, grid),
+            // the start is opened once at the start of every pass
+            passes = opens['0|0|2'],
+            key;
+
+        path.status.should.equal(PF.Status.FOUND);
+        passes.should.be.above(1);
+        for (key in opens) {
+            opens[key].should.not.be.above(passes);
+        }
+        reopens.should.be.above(0);
+        path.stats.reopened.should.equal(reopens);
+    });
+});
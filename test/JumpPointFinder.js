@@ -0,0 +1,114 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('JumpPointFinder', function() {
+    var STONE = 1, voxels, grid;
+
+    // check every step of the path is a move the agent can make
+    function shouldBeWalkable(path, agent, allowDiagonal) {
+        var nodes = grid.acquireNodes(), i, from, to, neighbors;
+        for (i = 1; i < path.length; ++i) {
+            from = nodes.get(path[i - 1][0], path[i - 1][1], path[i - 1][2]);
+            to = nodes.get(path[i][0], path[i][1], path[i][2]);
+            neighbors = grid.getNeighbors(from, allowDiagonal, false, agent, nodes);
+            neighbors.should.include(to);
+        }
+        grid.releaseNodes(nodes);
+    }
+
+    // count the nodes the finder expands
+    function countExpanded(finder) {
+        var identifySuccessors = finder._identifySuccessors;
+        finder.expanded = 0;
+        finder._identifySuccessors = function(node) {
+            this.expanded += 1;
+            identifySuccessors.call(this, node);
+        };
+        return finder;
+    }
+
+    beforeEach(function() {
+        // a 24x24 stone floor at z = 1
+        voxels = new Voxels().fill(0, 0, 1, 23, 23, 1, STONE);
+        grid = new PF.Grid(voxels);
+    });
+
+    it('should jump across open ground', function() {
+        var finder = countExpanded(new PF.JumpPointFinder()),
+            path = finder.findPath(0, 0, 2, 23, 17, 2, grid);
+        path[0].should.eql([0, 0, 2]);
+        path[path.length - 1].should.eql([23, 17, 2]);
+        path.length.should.equal(24);
+        finder.expanded.should.be.below(5);
+        shouldBeWalkable(path, finder.agent, true);
+    });
+
+    it('should tell its observer of each jump', function() {
+        var jumps = [],
+            finder = new PF.JumpPointFinder({
+                observer: {
+                    onJump: function(from, to) {
+                        jumps.push([from.x, from.y, to.x, to.y]);
+                    }
+                }
+            });
+        finder.findPath(0, 0, 2, 23, 17, 2, grid);
+        jumps.length.should.be.above(0);
+        jumps.forEach(function(jump) {
+            var dx = Math.abs(jump[2] - jump[0]), dy = Math.abs(jump[3] - jump[1]);
+            (dx + dy).should.be.above(0);
+        });
+    });
+
+    it('should climb stairs', function() {
+        var finder = new PF.JumpPointFinder(),
+            path;
+        // a platform two blocks high from x = 12, with a one block step
+        // in front of it
+        voxels.fill(12, 0, 2, 23, 23, 3, STONE)
+            .fill(11, 0, 2, 11, 23, 2, STONE);
+        path = finder.findPath(0, 5, 2, 20, 5, 4, grid);
+        path[path.length - 1].should.eql([20, 5, 4]);
+        path.should.includeEql([11, 5, 3]);
+        shouldBeWalkable(path, finder.agent, true);
+    });
+
+    it('should drop down ledges', function() {
+        var agent = new PF.Agent({maxFallHeight: 2}),
+            finder = new PF.JumpPointFinder({agent: agent}),
+            path;
+        // a platform two blocks high from x = 12, on a floor thick enough
+        // that the agent cannot drop off its edges
+        voxels.fill(0, 0, 2, 23, 23, 2, STONE)
+            .fill(12, 0, 3, 23, 23, 4, STONE);
+        path = finder.findPath(20, 5, 5, 0, 5, 3, grid);
+        path[path.length - 1].should.eql([0, 5, 3]);
+        path.length.should.equal(21);
+        shouldBeWalkable(path, agent, true);
+        finder.findPath(0, 5, 3, 20, 5, 5, grid).slice().should.eql([]);
+    });
+
+    it('should go around overhangs too low to pass', function() {
+        var agent = new PF.Agent({height: 2}),
+            finder = new PF.JumpPointFinder({agent: agent}),
+            path;
+        // a slab at head height from y = 0 to y = 10, over x = 4
+        voxels.fill(4, 0, 3, 4, 10, 3, STONE);
+        path = finder.findPath(0, 2, 2, 8, 2, 2, grid);
+        path[path.length - 1].should.eql([8, 2, 2]);
+        path.should.includeEql([4, 11, 2]);
+        shouldBeWalkable(path, agent, true);
+    });
+
+    it('should only move orthogonally when asked to', function() {
+        var finder = new PF.OrthogonalJumpPointFinder(),
+            path;
+        // the stairs, behind a wall open at the far end
+        voxels.fill(12, 0, 2, 23, 23, 3, STONE)
+            .fill(11, 0, 2, 11, 23, 2, STONE)
+            .fill(4, 0, 2, 4, 20, 3, STONE);
+        path = finder.findPath(0, 0, 2, 20, 5, 4, grid);
+        path[path.length - 1].should.eql([20, 5, 4]);
+        shouldBeWalkable(path, finder.agent, false);
+    });
+});
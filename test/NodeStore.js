@@ -0,0 +1,118 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('NodeStore', function() {
+    var store;
+
+    beforeEach(function() {
+        store = new PF.NodeStore(4);
+    });
+
+    it('should return the same node for the same position', function() {
+        var node = store.get(1, 2, 3);
+        node.g = 5;
+        store.get(1, 2, 3).should.equal(node);
+        store.get(1, 2, 3).g.should.equal(5);
+        store.get(3, 2, 1).should.not.equal(node);
+    });
+
+    it('should peek at nodes without creating any', function() {
+        var node = store.get(1, 2, 3);
+        store.peek(1, 2, 3).should.equal(node);
+        (store.peek(3, 2, 1) === null).should.be.true;
+        (store.peek(9, 9, 9) === null).should.be.true;
+        store.size.should.equal(1);
+        Object.keys(store.chunks).should.eql(['0|0|0']);
+        store.clear();
+        (store.peek(1, 2, 3) === null).should.be.true;
+    });
+
+    it('should keep its chunks small by default', function() {
+        var defaults = new PF.NodeStore();
+        defaults.get(0, 0, 0);
+        defaults.get(8, 0, 0);
+        Object.keys(defaults.chunks).sort().should.eql(['0|0|0', '1|0|0']);
+        defaults.chunks['0|0|0'].slots.length.should.equal(512);
+    });
+
+    it('should key chunks by chunk coordinates', function() {
+        store.get(0, 0, 0);
+        store.get(3, 3, 3);
+        store.get(4, 0, 0);
+        store.get(-1, 0, 0);
+        Object.keys(store.chunks).sort().should.eql(['-1|0|0', '0|0|0', '1|0|0']);
+    });
+
+    it('should keep nodes apart across chunk borders', function() {
+        var a = store.get(-1, -1, -1),
+            b = store.get(3, 3, 3);
+        a.should.not.equal(b);
+        a.x.should.equal(-1);
+        b.x.should.equal(3);
+    });
+
+    it('should reuse nodes with fresh state after clearing', function() {
+        var node = store.get(1, 1, 1), reused;
+        node.opened = true;
+        node.parent = store.get(1, 1, 2);
+        store.clear();
+        reused = store.get(7, 7, 7);
+        reused.should.equal(node);
+        [reused.x, reused.y, reused.z].should.eql([7, 7, 7]);
+        (reused.opened === undefined).should.be.true;
+        (reused.parent === undefined).should.be.true;
+        store.get(1, 1, 1).should.not.equal(node);
+    });
+
+    it('should free the chunks a generation did not touch', function() {
+        store.get(1, 1, 1);
+        store.clear();
+        Object.keys(store.chunks).should.eql(['0|0|0']);
+        store.get(5, 1, 1);
+        store.clear();
+        Object.keys(store.chunks).should.eql(['1|0|0']);
+    });
+
+    describe('on a grid', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = new PF.Grid(new Voxels().fill(0, 0, 0, 4, 4, 0, 1));
+        });
+
+        it('should back the neighbors of a search', function() {
+            var nodes = grid.acquireNodes(),
+                node = grid.getNodeAt(2, 2, 1, null, nodes),
+                neighbors = grid.getNeighbors(node, false, false, null, nodes);
+            grid.getNeighbors(neighbors[0], false, false, null, nodes).indexOf(node).should.not.equal(-1);
+        });
+
+        it('should keep the state of concurrent searches apart', function() {
+            var a = grid.acquireNodes(),
+                b = grid.acquireNodes();
+            grid.getNodeAt(2, 2, 1, null, a).closed = true;
+            (grid.getNodeAt(2, 2, 1, null, b).closed === undefined).should.be.true;
+            (grid.getNodeAt(2, 2, 1).closed === undefined).should.be.true;
+            grid.getNodeAt(2, 2, 1, null, a).closed.should.be.true;
+        });
+
+        it('should reuse released stores with fresh state', function() {
+            var a = grid.acquireNodes();
+            grid.getNodeAt(2, 2, 1, null, a).closed = true;
+            grid.releaseNodes(a);
+            grid.acquireNodes().should.equal(a);
+            (grid.getNodeAt(2, 2, 1, null, a).closed === undefined).should.be.true;
+        });
+
+        it('should forget the nodes shared outside of a search when one starts', function() {
+            var x;
+            for (x = 0; x < 100; ++x) {
+                grid.getNodeAt(x, 0, 1);
+            }
+            grid.nodeStore.size.should.equal(100);
+            grid.releaseNodes(grid.acquireNodes());
+            grid.nodeStore.size.should.equal(0);
+            (grid.getNodeAt(2, 2, 1).closed === undefined).should.be.true;
+        });
+    });
+});
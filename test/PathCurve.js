@@ -0,0 +1,71 @@
+var PF = require('..');
+
+describe('PathCurve', function() {
+    // an L-shaped path, turning at [4, 0, 2]
+    var path = [[0, 0, 2], [4, 0, 2], [4, 3, 2]];
+
+    // whether two points are within a small distance of each other
+    function shouldBeNear(a, b) {
+        var i;
+        for (i = 0; i < 3; ++i) {
+            Math.abs(a[i] - b[i]).should.be.below(1e-9);
+        }
+    }
+
+    it('should place the path at the centres of its voxels', function() {
+        new PF.PathCurve(path).waypoints.should.eql([[0.5, 0.5, 2.5], [4.5, 0.5, 2.5], [4.5, 3.5, 2.5]]);
+    });
+
+    it('should place the path at the feet of the agent', function() {
+        new PF.PathCurve(path, {anchor: 'feet'}).waypoints[1].should.eql([4.5, 0.5, 2]);
+    });
+
+    it('should sample the path by the distance along it', function() {
+        var curve = new PF.PathCurve(path);
+        curve.length.should.equal(7);
+        shouldBeNear(curve.sampleAt(2), [2.5, 0.5, 2.5]);
+        shouldBeNear(curve.sampleAt(5.5), [4.5, 2, 2.5]);
+        curve.directionAt(5.5).should.eql([0, 1, 0]);
+    });
+
+    it('should keep samples beyond its ends at its ends', function() {
+        var curve = new PF.PathCurve(path);
+        curve.sampleAt(-1).should.eql([0.5, 0.5, 2.5]);
+        curve.sampleAt(100).should.eql([4.5, 3.5, 2.5]);
+    });
+
+    it('should pass through every position smoothened as a Catmull-Rom spline', function() {
+        var curve = new PF.PathCurve(path, {smoothing: 'catmull-rom', subdivisions: 4});
+        curve.points.length.should.equal(9);
+        curve.points.should.includeEql([4.5, 0.5, 2.5]);
+        curve.length.should.be.above(Math.sqrt(25));
+        shouldBeNear(curve.sampleAt(curve.length), [4.5, 3.5, 2.5]);
+    });
+
+    it('should cut inside the corners smoothened as Bezier curves', function() {
+        var curve = new PF.PathCurve(path, {smoothing: 'bezier', subdivisions: 4});
+        curve.points.should.not.includeEql([4.5, 0.5, 2.5]);
+        curve.length.should.be.below(7);
+        curve.points.forEach(function(point) {
+            point[0].should.not.be.above(4.5);
+            point[1].should.not.be.below(0.5);
+        });
+    });
+
+    it('should handle paths of a single position or none', function() {
+        var curve = new PF.PathCurve([[1, 1, 2]], {smoothing: 'bezier'});
+        curve.length.should.equal(0);
+        curve.sampleAt(3).should.eql([1.5, 1.5, 2.5]);
+        (curve.directionAt(0) === null).should.be.true;
+        (new PF.PathCurve([]).sampleAt(0) === null).should.be.true;
+    });
+
+    it('should refuse anchors and smoothing it does not know', function() {
+        (function() {
+            new PF.PathCurve(path, {anchor: 'head'});
+        }).should.throw();
+        (function() {
+            new PF.PathCurve(path, {smoothing: 'hermite'});
+        }).should.throw();
+    });
+});
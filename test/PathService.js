@@ -0,0 +1,165 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('PathService', function() {
+    var STONE = 1, voxels, service;
+
+    // the path a finder on the main thread finds
+    function directPath(start, end) {
+        return new PF.AStarFinder().findPath(start, end, new PF.Grid(voxels, {chunkSize: 8}));
+    }
+
+    beforeEach(function() {
+        // an 8x5 stone floor at z = 1, split by a wall at x = 4, too high
+        // to climb, with a gap at y = 4
+        voxels = new Voxels()
+            .fill(0, 0, 1, 7, 4, 1, STONE)
+            .fill(4, 0, 2, 4, 3, 4, STONE);
+    });
+
+    afterEach(function() {
+        service.terminate();
+    });
+
+    it('should find paths in a worker', function(done) {
+        service = new PF.PathService(voxels, {chunkSize: 8});
+        service.worker.should.be.ok;
+        service.findPath([0, 0, 2], {x: 7, y: 0, z: 2}).then(function(path) {
+            path.status.should.equal(PF.Status.FOUND);
+            path.slice().should.eql(directPath([0, 0, 2], [7, 0, 2]).slice());
+            path.moves.length.should.equal(path.length - 1);
+            done();
+        }).catch(done);
+    });
+
+    it('should let a script end once its paths are found', function(done) {
+        var childProcess = require('child_process'),
+            script = [
+                'var PF = require(' + JSON.stringify(__dirname + '/..') + ');',
+                'var Voxels = require(' + JSON.stringify(__dirname + '/Voxels') + ');',
+                'new PF.PathService(new Voxels().fill(0, 0, 1, 7, 4, 1, 1), {chunkSize: 8})',
+                '    .findPath([0, 0, 2], [7, 0, 2]).then(function(path) {',
+                '        console.log(path.status);',
+                '    });'
+            ].join('\n');
+        this.timeout(10000);
+        service = {terminate: function() {}};
+        childProcess.execFile(process.execPath, ['-e', script], {timeout: 8000}, function(err, stdout) {
+            (err === null).should.be.true;
+            stdout.should.equal(PF.Status.FOUND + '\n');
+            done();
+        });
+    });
+
+    it('should keep the worker in sync with voxel edits', function(done) {
+        service = new PF.PathService(voxels, {chunkSize: 8});
+        service.findPath([0, 0, 2], [7, 0, 2]).then(function(path) {
+            path.length.should.equal(16);
+            voxels.fill(4, 0, 2, 4, 0, 4, 0);
+            [2, 3, 4].forEach(function(z) {
+                service.notifyVoxelChanged(4, 0, z);
+            });
+            return service.findPath([0, 0, 2], [7, 0, 2]);
+        }).then(function(path) {
+            path.length.should.equal(8);
+            done();
+        }).catch(done);
+    });
+
+    it('should find paths on the main thread without a worker', function(done) {
+        service = new PF.PathService(voxels, {worker: false, finder: 'JumpPointFinder'});
+        (service.worker === null).should.be.true;
+        service.findPath([0, 0, 2], [7, 0, 2]).then(function(path) {
+            path.status.should.equal(PF.Status.FOUND);
+            path[path.length - 1].should.eql([7, 0, 2]);
+            done();
+        }).catch(done);
+    });
+
+    [false, undefined].forEach(function(worker) {
+        it('should reject every request with why the finder could not be made' +
+                (worker === false ? ' on the main thread' : ''), function(done) {
+            service = new PF.PathService(voxels, {worker: worker, finder: 'NoSuchFinder'});
+            service.findPath([0, 0, 2], [7, 0, 2]).then(function() {
+                throw new Error('found a path without a finder');
+            }, function(err) {
+                err.message.should.equal('Unknown finder: NoSuchFinder');
+                return service.findPath([0, 0, 2], [3, 0, 2]);
+            }).then(function() {
+                done(new Error('found a path without a finder'));
+            }, function(err) {
+                err.message.should.equal('Unknown finder: NoSuchFinder');
+                done();
+            }).catch(done);
+        });
+    });
+
+    it('should reject goal predicates, which cannot be sent', function(done) {
+        service = new PF.PathService(voxels, {worker: false});
+        service.findPath([0, 0, 2], function(x) { return x === 7; }).then(function() {
+            done(new Error('sent a goal predicate'));
+        }, function(err) {
+            err.message.should.equal('A goal predicate can\'t be sent to a worker');
+            done();
+        }).catch(done);
+    });
+
+    it('should answer requests of higher priority first', function(done) {
+        var order = [];
+        service = new PF.PathService(voxels, {worker: false});
+        function record(name) {
+            return function() { order.push(name); };
+        }
+        Promise.all([
+            service.findPath([0, 0, 2], [7, 0, 2]).then(record('first')),
+            service.findPath([0, 0, 2], [1, 0, 2], {priority: -1}).then(record('low')),
+            service.findPath([0, 0, 2], [2, 0, 2], {priority: 5}).then(record('high')),
+            service.findPath([0, 0, 2], [3, 0, 2]).then(record('normal'))
+        ]).then(function() {
+            order.should.eql(['first', 'high', 'normal', 'low']);
+            done();
+        }).catch(done);
+    });
+
+    it('should reject cancelled requests', function(done) {
+        var running, waiting;
+        service = new PF.PathService(voxels, {worker: false, sliceSize: 1});
+        running = service.findPath([0, 0, 2], [7, 0, 2]);
+        waiting = service.findPath([0, 0, 2], [3, 0, 2]);
+        running.cancel();
+        running.then(function() {
+            done(new Error('resolved a cancelled request'));
+        }, function(err) {
+            err.message.should.equal('Path request cancelled');
+            return waiting;
+        }).then(function(path) {
+            path.length.should.equal(4);
+            done();
+        }).catch(done);
+    });
+
+    it('should reject the requests left once terminated', function(done) {
+        var path;
+        service = new PF.PathService(voxels, {worker: false});
+        path = service.findPath([0, 0, 2], [7, 0, 2]);
+        service.terminate();
+        path.catch(function(err) {
+            err.message.should.equal('Path service terminated');
+            return service.findPath([0, 0, 2], [7, 0, 2]);
+        }).catch(function(err) {
+            err.message.should.equal('Path service terminated');
+            done();
+        });
+    });
+
+    it('should ignore voxels changing once terminated', function(done) {
+        service = new PF.PathService(voxels, {worker: false});
+        service.terminate();
+        voxels.voxelAtPosition([0, 0, 1], 0);
+        service.notifyVoxelChanged(0, 0, 1);
+        setTimeout(function() {
+            service.terminated.should.be.true;
+            done();
+        }, 10);
+    });
+});
@@ -1,9 +1,43 @@
 var PF        = require('..')
+var Voxels    = require('./Voxels');
 var scenarios = require('./PathTestScenarios');
 
+var STONE = 1;
+
+/**
+ * Build the voxel world of a scenario: a stone floor at z = 1, raised by
+ * the scenario's heights if it has any, with a wall too high to climb on
+ * every blocked cell. Agents walk on top of the floor, and nothing around
+ * it can be reached.
+ */
+function buildGrid(scen) {
+    var matrix = scen.matrix,
+        voxels = new Voxels(),
+        x, y, ground;
+
+    for (y = 0; y < matrix.length; ++y) {
+        for (x = 0; x < matrix[y].length; ++x) {
+            ground = 1 + groundHeight(scen, x, y);
+            voxels.fill(x, y, 1, x, y, ground, STONE);
+            if (matrix[y][x]) {
+                voxels.fill(x, y, ground + 1, x, y, ground + 3, STONE);
+            }
+        }
+    }
+    return new PF.Grid(voxels);
+}
+
+/**
+ * Height of the floor of a scenario at the given cell.
+ */
+function groundHeight(scen, x, y) {
+    return scen.heights ? scen.heights[y][x] : 0;
+}
+
 /**
  * Path-finding tests for the path-finders.
  * @param {boolean} opt.optimal - Whether the finder is guaranteed to find the shortest path
+ * @param {boolean} opt.goals - Whether the finder searches for the nearest of several goals
  */
 function pathTest(opt) {
     var name = opt.name,
@@ -11,20 +45,19 @@ function pathTest(opt) {
         optimal = opt.optimal;
 
     describe(name, function() {
-        var startX, startY, endX, endY, grid, expectedLength,
-            width, height, matrix, path, i, scen;
+        var grid, path, i, scen;
 
         var test = (function() {
             var testId = 0;
 
-            return function(startX, startY, endX, endY, grid, expectedLength) {
+            return function(startX, startY, startZ, endX, endY, endZ, grid, expectedLength) {
                 it('should solve maze '+ ++testId, function() {
-                    path = finder.findPath(startX, startY, endX, endY, grid);
+                    path = finder.findPath(startX, startY, startZ, endX, endY, endZ, grid);
                     if (optimal) {
                         path.length.should.equal(expectedLength);
                     } else {
-                        path[0].should.eql([startX, startY]);
-                        path[path.length - 1].should.eql([endX, endY]);
+                        path[0].should.eql([startX, startY, startZ]);
+                        path[path.length - 1].should.eql([endX, endY, endZ]);
                     }
                 });
             };
@@ -34,19 +67,154 @@ function pathTest(opt) {
         for (i = 0; i < scenarios.length; ++i) {
             scen = scenarios[i];
 
-            matrix = scen.matrix;
-            height = matrix.length;
-            width = matrix[0].length;
-
-            grid = new PF.Grid(width, height, matrix);
+            grid = buildGrid(scen);
 
             test(
-                scen.startX, scen.startY, 
-                scen.endX, scen.endY, 
-                grid, 
+                scen.startX, scen.startY, groundHeight(scen, scen.startX, scen.startY) + 2,
+                scen.endX, scen.endY, groundHeight(scen, scen.endX, scen.endY) + 2,
+                grid,
                 scen.expectedLength
             );
         }
+
+        it('should only drop down ledges it cannot climb', function() {
+            // a tower two blocks above the floor, with a one block step
+            // beside it: the agent can drop off it, but must take the step
+            // to get back up
+            var voxels = new Voxels()
+                    .fill(0, 0, 1, 3, 1, 1, STONE)
+                    .fill(2, 0, 2, 2, 0, 3, STONE)
+                    .fill(2, 1, 2, 2, 1, 2, STONE),
+                agentFinder = new finder.constructor({
+                    agent: new PF.Agent({maxFallHeight: 2})
+                });
+            grid = new PF.Grid(voxels);
+            agentFinder.findPath(2, 0, 4, 1, 0, 2, grid).length.should.equal(2);
+            path = agentFinder.findPath(1, 0, 2, 2, 0, 4, grid);
+            path[path.length - 1].should.eql([2, 0, 4]);
+            path.should.includeEql([2, 1, 3]);
+        });
+
+        it('should take the start and end as points', function() {
+            scen = scenarios[1];
+            grid = buildGrid(scen);
+            path = finder.findPath({x: 1, y: 1, z: 2}, [4, 4, 2], grid);
+            path[0].should.eql([1, 1, 2]);
+            path[path.length - 1].should.eql([4, 4, 2]);
+        });
+
+        describe('with a budget', function() {
+            // the moves of the path, checked to be single steps
+            var shouldStep = function(path) {
+                var i;
+                for (i = 1; i < path.length; ++i) {
+                    Math.abs(path[i][0] - path[i - 1][0]).should.be.below(2);
+                    Math.abs(path[i][1] - path[i - 1][1]).should.be.below(2);
+                }
+            };
+
+            beforeEach(function() {
+                // a corridor from x = 0 to x = 8 turning at x = 8 to y = 4,
+                // and an island beyond it
+                grid = new PF.Grid(new Voxels()
+                    .fill(0, 0, 1, 8, 0, 1, STONE)
+                    .fill(8, 0, 1, 8, 4, 1, STONE)
+                    .fill(12, 0, 1, 14, 0, 1, STONE), {chunkSize: 4});
+            });
+
+            it('should report finding the path', function() {
+                finder.findPath(0, 0, 2, 8, 4, 2, grid).status.should.equal(PF.Status.FOUND);
+            });
+
+            it('should record the nodes it expanded', function() {
+                finder.findPath(0, 0, 2, 8, 4, 2, grid).expanded.should.be.above(0);
+            });
+
+            it('should tell its observer how the search goes', function() {
+                var seen = {open: 0, reopen: 0, close: 0, expand: 0},
+                    observer = {
+                        onOpen: function(node, reopened) {
+                            seen[reopened ? 'reopen' : 'open'] += 1;
+                            node.should.have.property('z');
+                        },
+                        onClose: function() { seen.close += 1; },
+                        onExpand: function() { seen.expand += 1; }
+                    },
+                    stats;
+                stats = new finder.constructor({observer: observer})
+                    .findPath(0, 0, 2, 8, 4, 2, grid).stats;
+                seen.expand.should.equal(stats.expanded);
+                seen.open.should.equal(stats.opened);
+                seen.reopen.should.equal(stats.reopened);
+                seen.close.should.be.above(0);
+                stats.maxOpen.should.be.above(0);
+                stats.elapsedMs.should.not.be.below(0);
+            });
+
+            it('should report a goal it cannot reach', function() {
+                path = finder.findPath(0, 0, 2, 13, 0, 2, grid);
+                path.status.should.equal(PF.Status.UNREACHABLE);
+                path.length.should.equal(0);
+            });
+
+            it('should stop short after expanding its most nodes', function() {
+                path = new finder.constructor({maxNodes: 1}).findPath(0, 0, 2, 8, 4, 2, grid);
+                path.status.should.equal(PF.Status.CUT_OFF);
+                path[0].should.eql([0, 0, 2]);
+                path.length.should.be.below(13);
+                shouldStep(path);
+            });
+
+            it('should stop short of paths costing more than it may spend', function() {
+                path = new finder.constructor({maxCost: 4}).findPath(0, 0, 2, 8, 4, 2, grid);
+                path.status.should.equal(PF.Status.CUT_OFF);
+                path[0].should.eql([0, 0, 2]);
+                path.length.should.be.below(6);
+                shouldStep(path);
+                new finder.constructor({maxCost: 12}).findPath(0, 0, 2, 8, 4, 2, grid)
+                    .status.should.equal(PF.Status.FOUND);
+            });
+
+            it('should stop short after running out of time', function() {
+                path = new finder.constructor({maxTimeMs: -1}).findPath(0, 0, 2, 8, 4, 2, grid);
+                path.status.should.equal(PF.Status.CUT_OFF);
+            });
+        });
+
+        if (!opt.goals) {
+            return;
+        }
+
+        describe('with several goals', function() {
+            beforeEach(function() {
+                // a corridor from x = 0 to x = 8
+                grid = new PF.Grid(new Voxels().fill(0, 0, 1, 8, 0, 1, STONE));
+            });
+
+            it('should reach the nearest goal of a list', function() {
+                path = finder.findPath([4, 0, 2], [[0, 0, 2], {x: 7, y: 0, z: 2}], grid);
+                path[path.length - 1].should.eql([7, 0, 2]);
+                path.length.should.equal(4);
+            });
+
+            it('should reach the nearest position a predicate accepts', function() {
+                path = finder.findPath([4, 0, 2], function(x, y, z) {
+                    return x === 1 || x === 8;
+                }, grid);
+                path[path.length - 1].should.eql([1, 0, 2]);
+                path.length.should.equal(4);
+            });
+
+            it('should skip goals it cannot reach', function() {
+                path = finder.findPath([4, 0, 2], [[1, 0, 5], [8, 0, 2]], grid);
+                path[path.length - 1].should.eql([8, 0, 2]);
+            });
+
+            it('should stay put when it starts at a goal', function() {
+                finder.findPath([4, 0, 2], [[4, 0, 2], [5, 0, 2]], grid)
+                    .slice().should.eql([[4, 0, 2]]);
+            });
+        });
     });
 }
 
@@ -61,15 +229,18 @@ function pathTests(tests) {
 pathTests({
     name: 'AStar',
     finder: new PF.AStarFinder(),
-    optimal: true
+    optimal: true,
+    goals: true
 }, {
     name: 'BreadthFirst',
     finder: new PF.BreadthFirstFinder(),
-    optimal: true
+    optimal: true,
+    goals: true
 }, {
     name: 'Dijkstra',
     finder: new PF.DijkstraFinder(),
-    optimal: true
+    optimal: true,
+    goals: true
 }, {
     name: 'BiBreadthFirst',
     finder: new PF.BiBreadthFirstFinder(),
@@ -101,7 +272,17 @@ pathTests({
     name: 'JumpPoint',
     finder: new PF.JumpPointFinder(),
     optimal: false
-},  {
+}, {
+    name: 'ThetaStar',
+    finder: new PF.ThetaStarFinder(),
+    optimal: false,
+    goals: true
+}, {
+    name: 'LazyThetaStar',
+    finder: new PF.LazyThetaStarFinder(),
+    optimal: false,
+    goals: true
+}, {
     name: 'OrthogonalJumpPoint',
     finder: new PF.OrthogonalJumpPointFinder(),
     optimal: false
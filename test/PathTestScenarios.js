@@ -61,4 +61,37 @@ module.exports = [
                  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]],
         expectedLength: 31,
     },
+    {
+        startX: 0,
+        startY: 0,
+        endX: 4,
+        endY: 0,
+        matrix: [[0, 0, 0, 0, 0]],
+        heights: [[0, 1, 2, 3, 4]],
+        expectedLength: 5,
+    },
+    {
+        startX: 0,
+        startY: 0,
+        endX: 2,
+        endY: 0,
+        matrix: [[0, 0, 0],
+                 [0, 0, 0]],
+        heights: [[0, 0, 2],
+                  [0, 1, 2]],
+        expectedLength: 5,
+    },
+    {
+        startX: 0,
+        startY: 2,
+        endX: 3,
+        endY: 0,
+        matrix: [[0, 0, 0, 0],
+                 [0, 1, 1, 0],
+                 [0, 0, 0, 0]],
+        heights: [[1, 1, 2, 3],
+                  [0, 0, 0, 3],
+                  [0, 1, 2, 3]],
+        expectedLength: 6,
+    },
 ];
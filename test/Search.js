@@ -0,0 +1,60 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('Search', function() {
+    var STONE = 1, voxels, grid;
+
+    beforeEach(function() {
+        // an 8x5 stone floor at z = 1, split by a wall at x = 4, too high
+        // to climb, with a gap at y = 4
+        voxels = new Voxels()
+            .fill(0, 0, 1, 7, 4, 1, STONE)
+            .fill(4, 0, 2, 4, 3, 4, STONE);
+        grid = new PF.Grid(voxels);
+    });
+
+    it('should find the same path a step at a time', function() {
+        var finder = new PF.AStarFinder(),
+            search = finder.createSearch([0, 0, 2], [7, 0, 2], grid),
+            steps = 0;
+        while (search.step() === PF.Status.IN_PROGRESS) {
+            (search.path === null).should.be.true;
+            steps += 1;
+        }
+        steps.should.be.above(1);
+        search.status.should.equal(PF.Status.FOUND);
+        search.path.slice().should.eql(finder.findPath(0, 0, 2, 7, 0, 2, grid).slice());
+        search.path.moves.length.should.equal(15);
+    });
+
+    it('should expand at most the given number of nodes each step', function() {
+        var search = new PF.AStarFinder({maxNodes: 5}).createSearch(0, 0, 2, 7, 0, 2, grid);
+        search.step(3).should.equal(PF.Status.IN_PROGRESS);
+        search.budget.expanded.should.equal(3);
+        search.step(3).should.equal(PF.Status.CUT_OFF);
+        search.budget.expanded.should.equal(5);
+        search.path[0].should.eql([0, 0, 2]);
+    });
+
+    it('should report a goal it cannot reach', function() {
+        var search;
+        voxels.fill(4, 4, 2, 4, 4, 4, STONE);
+        search = new PF.AStarFinder().createSearch(0, 0, 2, 7, 0, 2, grid);
+        search.step(Infinity).should.equal(PF.Status.UNREACHABLE);
+        search.path.length.should.equal(0);
+    });
+
+    it('should hand its nodes back when done or cancelled', function() {
+        var finder = new PF.DijkstraFinder(),
+            search = finder.createSearch(0, 0, 2, 7, 0, 2, grid),
+            nodes = search.nodes,
+            other = finder.createSearch(0, 0, 2, 7, 0, 2, grid);
+        other.nodes.should.not.equal(nodes);
+        search.step(4);
+        search.cancel();
+        search.status.should.equal(PF.Status.CUT_OFF);
+        search.path.slice().should.eql([]);
+        grid.acquireNodes().should.equal(nodes);
+        other.run().status.should.equal(PF.Status.FOUND);
+    });
+});
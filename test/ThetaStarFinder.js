@@ -0,0 +1,92 @@
+var PF = require('..');
+var Voxels = require('./Voxels');
+
+describe('ThetaStarFinder', function() {
+    var STONE = 1, voxels, grid;
+
+    // the path, checked to be walked a voxel at a time, each waypoint
+    // straight from the one before
+    function shouldWalk(path) {
+        var i;
+        for (i = 1; i < path.length; ++i) {
+            Math.abs(path[i][0] - path[i - 1][0]).should.be.below(2);
+            Math.abs(path[i][1] - path[i - 1][1]).should.be.below(2);
+        }
+        for (i = 1; i < path.waypoints.length; ++i) {
+            PF.Util.walkLine(grid, path.waypoints[i - 1], path.waypoints[i]).should.be.ok;
+        }
+        path.moves.length.should.equal(path.length - 1);
+    }
+
+    beforeEach(function() {
+        // a 10x8 stone field at z = 1
+        voxels = new Voxels().fill(0, 0, 1, 9, 7, 1, STONE);
+        grid = new PF.Grid(voxels);
+    });
+
+    [PF.ThetaStarFinder, PF.LazyThetaStarFinder].forEach(function(Finder) {
+        describe(Finder.name, function() {
+            it('should walk straight across open ground', function() {
+                var path = new Finder().findPath(0, 0, 2, 9, 3, 2, grid);
+                path.status.should.equal(PF.Status.FOUND);
+                path.waypoints.should.eql([[0, 0, 2], [9, 3, 2]]);
+                path[0].should.eql([0, 0, 2]);
+                path[path.length - 1].should.eql([9, 3, 2]);
+                shouldWalk(path);
+            });
+
+            it('should turn only at the corners of what is in the way', function() {
+                var path;
+                // a wall across x = 4, too high to climb, open at y = 7
+                voxels.fill(4, 0, 2, 4, 6, 4, STONE);
+                path = new Finder().findPath(0, 0, 2, 9, 0, 2, grid);
+                path.status.should.equal(PF.Status.FOUND);
+                path.waypoints.length.should.be.below(6);
+                path.should.includeEql([4, 7, 2]);
+                shouldWalk(path);
+            });
+
+            it('should not walk straight across a hole it would fall into', function() {
+                var path;
+                // a pit too deep to climb out of across the straight line
+                voxels.fill(3, 0, 0, 5, 5, 1, 0);
+                path = new Finder().findPath(0, 0, 2, 9, 0, 2, grid);
+                path.status.should.equal(PF.Status.FOUND);
+                path.waypoints.length.should.be.above(2);
+                path.forEach(function(pos) {
+                    pos[2].should.equal(2);
+                });
+                shouldWalk(path);
+            });
+
+            it('should be cheaper than the path A* walks', function() {
+                var theta = new Finder().findPath(0, 0, 2, 9, 3, 2, grid),
+                    astar = new PF.AStarFinder().findPath(0, 0, 2, 9, 3, 2, grid);
+                PF.Util.pathLength(theta.waypoints).should.be.below(PF.Util.pathLength(astar));
+            });
+
+            it('should find the same path a step at a time', function() {
+                var finder = new Finder(),
+                    search = finder.createSearch([0, 0, 2], [9, 3, 2], grid);
+                while (search.step() === PF.Status.IN_PROGRESS) {}
+                search.path.waypoints.should.eql(finder.findPath(0, 0, 2, 9, 3, 2, grid).waypoints);
+            });
+
+            it('should walk only the moves the finder allows', function() {
+                var path = new Finder({allowDiagonal: false}).findPath(0, 0, 2, 9, 3, 2, grid),
+                    i;
+                path.status.should.equal(PF.Status.FOUND);
+                for (i = 1; i < path.length; ++i) {
+                    (Math.abs(path[i][0] - path[i - 1][0]) + Math.abs(path[i][1] - path[i - 1][1]))
+                        .should.equal(1);
+                }
+            });
+
+            it('should not estimate the height of a walking agent as distance', function() {
+                var cheap = new Finder({agent: new PF.Agent({costs: {1: 0.5}})});
+                new Finder().heuristic(3, 4, 12, 0).should.equal(5);
+                cheap.heuristic(3, 4, 12, 0).should.equal(2.5);
+            });
+        });
+    });
+});
@@ -1,14 +1,164 @@
 var PF = require('..');
+var Voxels = require('./Voxels');
 
 describe('Utility functions', function () {
+    var grid, path;
+
+    beforeEach(function () {
+        // a stone floor at z = 1, with a pool at (2, 0) and a ladder at
+        // (4, 0)
+        grid = new PF.Grid(new Voxels()
+            .fill(0, 0, 1, 6, 1, 1, 1)
+            .fill(2, 0, 2, 2, 0, 2, 2)
+            .fill(4, 0, 2, 4, 0, 3, 3), {
+            materials: {2: PF.Material.LIQUID, 3: PF.Material.CLIMBABLE}
+        });
+        path = [[0, 0, 2], [1, 1, 2], [2, 0, 2], [3, 0, 2], [4, 0, 2], [4, 0, 3]];
+    });
+
     describe('interpolate', function () {
         it('should return the interpolated path', function () {
-            PF.Util.interpolate(0, 1, 0, 4).should.eql([
-                [0, 1], [0, 2], [0, 3], [0, 4]
+            PF.Util.interpolate(0, 1, 0, 0, 4, 0).should.eql([
+                [0, 1, 0], [0, 2, 0], [0, 3, 0], [0, 4, 0]
+            ]);
+        });
+
+        it('should step along every axis', function () {
+            PF.Util.interpolate(0, 0, 0, 4, 2, -2).should.eql([
+                [0, 0, 0], [1, 0, 0], [2, 1, -1], [3, 1, -1], [4, 2, -2]
             ]);
         });
     });
 
+    describe('traverse', function () {
+        it('should return every voxel the line passes through', function () {
+            PF.Util.traverse(0, 0, 0, 3, 0, 0).should.eql([
+                [0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0]
+            ]);
+            PF.Util.traverse(0, 0, 0, 4, 1, 2).should.eql([
+                [0, 0, 0], [1, 0, 0], [1, 0, 1], [2, 0, 1],
+                [2, 1, 1], [3, 1, 1], [3, 1, 2], [4, 1, 2]
+            ]);
+        });
+
+        it('should go straight through edges and corners', function () {
+            PF.Util.traverse(0, 0, 0, 3, 1, 0).should.eql([
+                [0, 0, 0], [1, 0, 0], [2, 1, 0], [3, 1, 0]
+            ]);
+            PF.Util.traverse(2, 2, 2, 0, 0, 0).should.eql([
+                [2, 2, 2], [1, 1, 1], [0, 0, 0]
+            ]);
+        });
+    });
+
+    describe('walkLine', function () {
+        var voxels, floor;
+
+        beforeEach(function () {
+            // a 10x10 stone floor at z = 1, two blocks thick
+            voxels = new Voxels().fill(0, 0, 0, 9, 9, 1, 1);
+            floor = new PF.Grid(voxels);
+        });
+
+        it('should follow the ground up steps', function () {
+            voxels.fill(3, 0, 2, 9, 9, 2, 1);
+            PF.Util.walkLine(floor, [0, 0, 2], [5, 0, 3]).should.eql([
+                [0, 0, 2], [1, 0, 2], [2, 0, 2], [3, 0, 3], [4, 0, 3], [5, 0, 3]
+            ]);
+        });
+
+        it('should not drop further than the agent can fall', function () {
+            voxels.fill(3, 0, 2, 9, 9, 3, 1);
+            (PF.Util.walkLine(floor, [5, 0, 4], [0, 0, 2]) === null).should.be.true;
+            PF.Util.walkLine(floor, [5, 0, 4], [0, 0, 2], new PF.Agent({maxFallHeight: 2}))
+                .should.includeEql([2, 0, 2]);
+        });
+
+        it('should not cross pits', function () {
+            voxels.fill(3, 0, 0, 3, 9, 1, 0);
+            (PF.Util.walkLine(floor, [0, 0, 2], [5, 0, 2]) === null).should.be.true;
+        });
+
+        it('should not pass under overhangs too low for the agent', function () {
+            voxels.fill(2, 0, 3, 2, 0, 3, 1);
+            PF.Util.walkLine(floor, [0, 0, 2], [4, 0, 2]).length.should.equal(5);
+            (PF.Util.walkLine(floor, [0, 0, 2], [4, 0, 2], new PF.Agent({height: 2})) === null)
+                .should.be.true;
+        });
+
+        it('should not cut corners', function () {
+            voxels.fill(1, 0, 2, 1, 0, 3, 1);
+            (PF.Util.walkLine(floor, [0, 0, 2], [3, 1, 2]) === null).should.be.true;
+            PF.Util.walkLine(floor, [0, 0, 2], [2, 3, 2]).length.should.be.above(3);
+        });
+
+        it('should move diagonally only as the finder does', function () {
+            var orthogonal = {allowDiagonal: false},
+                line, i;
+            voxels.fill(1, 0, 2, 1, 0, 3, 1);
+            (PF.Util.walkLine(floor, [0, 0, 2], [3, 3, 2]) === null).should.be.true;
+            PF.Util.walkLine(floor, [0, 0, 2], [3, 3, 2], null, {allowDiagonal: true})
+                .should.eql([[0, 0, 2], [1, 1, 2], [2, 2, 2], [3, 3, 2]]);
+            line = PF.Util.walkLine(floor, [0, 0, 2], [3, 3, 2], null, orthogonal);
+            line.length.should.equal(7);
+            for (i = 1; i < line.length; ++i) {
+                (Math.abs(line[i][0] - line[i - 1][0]) + Math.abs(line[i][1] - line[i - 1][1]))
+                    .should.equal(1);
+            }
+            voxels.fill(0, 1, 2, 0, 1, 3, 1);
+            (PF.Util.walkLine(floor, [0, 0, 2], [3, 3, 2], null, orthogonal) === null).should.be.true;
+        });
+
+        it('should work on the store it is given', function () {
+            var nodes = floor.acquireNodes();
+            nodes.get(9, 9, 9);
+            PF.Util.walkLine(floor, [0, 0, 2], [4, 0, 2], null, null, nodes).length.should.equal(5);
+            (nodes.peek(9, 9, 9) === null).should.be.true;
+            nodes.peek(4, 0, 2).should.be.ok;
+        });
+
+        it('should fly straight through the air', function () {
+            var agent = new PF.Agent({fly: true});
+            PF.Util.walkLine(floor, [0, 0, 2], [4, 4, 6], agent).should.eql([
+                [0, 0, 2], [1, 1, 3], [2, 2, 4], [3, 3, 5], [4, 4, 6]
+            ]);
+            voxels.fill(2, 2, 4, 2, 2, 4, 1);
+            (PF.Util.walkLine(floor, [0, 0, 2], [4, 4, 6], agent) === null).should.be.true;
+        });
+    });
+
+    describe('smoothenPath', function () {
+        it('should cut straight across where the agent can walk', function () {
+            var voxels = new Voxels().fill(0, 0, 0, 9, 9, 1, 1),
+                floor = new PF.Grid(voxels),
+                path, smooth, i;
+            // a pit from y = 0 to y = 6 at x = 4
+            voxels.fill(4, 0, 0, 4, 6, 1, 0);
+            path = new PF.AStarFinder().findPath(0, 0, 2, 8, 0, 2, floor);
+            smooth = PF.Util.smoothenPath(floor, path);
+            smooth.length.should.be.below(path.length);
+            smooth[0].should.eql([0, 0, 2]);
+            smooth[smooth.length - 1].should.eql([8, 0, 2]);
+            for (i = 1; i < smooth.length; ++i) {
+                PF.Util.walkLine(floor, smooth[i - 1], smooth[i]).should.be.ok;
+            }
+            PF.Util.pathLength(smooth).should.be.below(PF.Util.pathLength(path));
+        });
+
+        it('should check every line on the same nodes', function () {
+            var floor = new PF.Grid(new Voxels().fill(0, 0, 0, 9, 9, 1, 1)),
+                acquire = floor.acquireNodes,
+                acquired = 0,
+                path = new PF.AStarFinder().findPath(0, 0, 2, 8, 5, 2, floor);
+            floor.acquireNodes = function() {
+                acquired += 1;
+                return acquire.call(this);
+            };
+            PF.Util.smoothenPath(floor, path).length.should.equal(2);
+            acquired.should.equal(1);
+        });
+    });
+
     describe('expandPath', function () {
         it('should return an empty array given an empty array', function () {
             PF.Util.expandPath([]).should.eql([]);
@@ -16,15 +166,15 @@ describe('Utility functions', function () {
 
         it('should return the expanded path', function () {
             PF.Util.expandPath([
-                [0, 1], [0, 4]
+                [0, 1, 0], [0, 4, 0]
             ]).should.eql([
-                [0, 1], [0, 2], [0, 3], [0, 4]
+                [0, 1, 0], [0, 2, 0], [0, 3, 0], [0, 4, 0]
             ]);
 
             PF.Util.expandPath([
-                [0, 1], [0, 4], [2, 6]
+                [0, 1, 0], [0, 4, 0], [2, 6, 2]
             ]).should.eql([
-                [0, 1], [0, 2], [0, 3], [0, 4], [1, 5], [2, 6]
+                [0, 1, 0], [0, 2, 0], [0, 3, 0], [0, 4, 0], [1, 5, 1], [2, 6, 2]
             ]);
         });
     });
@@ -36,17 +186,212 @@ describe('Utility functions', function () {
 
         it('should return a compressed path', function () {
             PF.Util.compressPath([
-                [0, 1], [0, 2], [0, 3], [0, 4]
+                [0, 1, 0], [0, 2, 0], [0, 3, 0], [0, 4, 0]
             ]).should.eql([
-                [0, 1], [0, 4]
+                [0, 1, 0], [0, 4, 0]
             ]);
 
             PF.Util.compressPath([
-                [0, 1], [0, 2], [0, 3], [0, 4], [1, 5], [2, 6]
+                [0, 1, 0], [0, 2, 0], [0, 3, 0], [0, 4, 0], [1, 5, 1], [2, 6, 2]
             ]).should.eql([
-                [0, 1], [0, 4], [2, 6]
+                [0, 1, 0], [0, 4, 0], [2, 6, 2]
             ]);
         });
     });
 
+    describe('pathMoves', function () {
+        it('should classify the moves of a path', function () {
+            var agent = new PF.Agent({maxStepHeight: 1, jumpHeight: 3});
+            PF.Util.pathMoves([
+                [2, 2, 1], [2, 3, 1], [3, 3, 2], [3, 2, 4], [2, 2, 1]
+            ], agent).should.eql([
+                PF.Move.WALK, PF.Move.STEP_UP, PF.Move.JUMP, PF.Move.DROP
+            ]);
+        });
+
+        it('should tell swimming and climbing apart given the grid', function () {
+            PF.Util.pathMoves(path, new PF.Agent(), grid).should.eql([
+                PF.Move.WALK, PF.Move.SWIM, PF.Move.WALK, PF.Move.WALK, PF.Move.CLIMB
+            ]);
+        });
+    });
+
+    describe('validatePath', function () {
+        var voxels, floor, path;
+
+        beforeEach(function () {
+            // a 10x10 stone floor at z = 1, two blocks thick
+            voxels = new Voxels().fill(0, 0, 0, 9, 9, 1, 1);
+            floor = new PF.Grid(voxels);
+            path = new PF.AStarFinder().findPath(0, 0, 2, 5, 0, 2, floor);
+        });
+
+        it('should pass a path that can still be walked', function () {
+            (PF.Util.validatePath(floor, path) === null).should.be.true;
+        });
+
+        it('should find positions blocked since', function () {
+            voxels.fill(3, 0, 2, 3, 0, 2, 1);
+            PF.Util.validatePath(floor, path).should.eql({index: 3, reason: PF.PathProblem.BLOCKED});
+        });
+
+        it('should find positions that lost their support', function () {
+            voxels.fill(3, 0, 0, 3, 0, 1, 0);
+            PF.Util.validatePath(floor, path).should.eql({index: 3, reason: PF.PathProblem.NO_SUPPORT});
+        });
+
+        it('should find steps too high or too deep for the agent', function () {
+            voxels.fill(2, 0, 2, 2, 0, 3, 1);
+            PF.Util.validatePath(floor, [[1, 0, 2], [2, 0, 4]])
+                .should.eql({index: 1, reason: PF.PathProblem.TOO_HIGH});
+            (PF.Util.validatePath(floor, [[1, 0, 2], [2, 0, 4]], {jumpHeight: 2}) === null)
+                .should.be.true;
+            PF.Util.validatePath(floor, [[2, 0, 4], [1, 0, 2]])
+                .should.eql({index: 1, reason: PF.PathProblem.TOO_DEEP});
+        });
+
+        it('should find diagonal moves the finder does not make', function () {
+            PF.Util.validatePath(floor, [[0, 0, 2], [1, 1, 2]])
+                .should.eql({index: 1, reason: PF.PathProblem.NOT_A_MOVE});
+            (PF.Util.validatePath(floor, [[0, 0, 2], [1, 1, 2]], {allowDiagonal: true}) === null)
+                .should.be.true;
+        });
+
+        it('should walk straight between positions more than a move apart', function () {
+            (PF.Util.validatePath(floor, [[0, 0, 2], [5, 0, 2]]) === null).should.be.true;
+            (PF.Util.validatePath(floor, [[0, 0, 2], [7, 3, 2], [7, 9, 2]]) === null).should.be.true;
+            voxels.fill(3, 0, 2, 3, 0, 3, 1);
+            PF.Util.validatePath(floor, [[0, 0, 2], [5, 0, 2]])
+                .should.eql({index: 1, reason: PF.PathProblem.BLOCKED});
+        });
+
+        it('should pass the waypoints of any-angle and jump point paths', function () {
+            var theta = new PF.ThetaStarFinder(),
+                jump = new PF.JumpPointFinder({allowDiagonal: true}),
+                compressed = PF.Util.compressPath(path);
+            voxels.fill(4, 2, 2, 4, 7, 3, 1);
+            compressed.length.should.equal(2);
+            (PF.Util.validatePath(floor, compressed) === null).should.be.true;
+            (PF.Util.validatePath(floor, theta.findPath(0, 0, 2, 9, 9, 2, floor).waypoints, theta) === null)
+                .should.be.true;
+            (PF.Util.validatePath(floor, PF.Util.compressPath(jump.findPath(0, 9, 2, 9, 0, 2, floor)), jump) === null)
+                .should.be.true;
+        });
+
+        it('should agree with the neighbors about cutting corners', function () {
+            var opt = {allowDiagonal: true, dontCrossCorners: true};
+            voxels.fill(1, 0, 2, 1, 0, 3, 1);
+            PF.Util.validatePath(floor, [[0, 0, 2], [1, 1, 2]], opt)
+                .should.eql({index: 1, reason: PF.PathProblem.BLOCKED});
+        });
+    });
+
+    describe('splicePath', function () {
+        var floor = new PF.Grid(new Voxels().fill(0, 0, 0, 9, 9, 1, 1)),
+            path;
+
+        beforeEach(function () {
+            path = [[0, 0, 2], [1, 0, 2], [2, 0, 2], [3, 0, 2]];
+            path.moves = PF.Util.pathMoves(path);
+            path.costs = PF.Util.pathCosts(path, floor);
+        });
+
+        it('should replace the stretch between two positions', function () {
+            var piece = [[1, 0, 2], [1, 1, 2], [2, 1, 2], [2, 0, 2]],
+                spliced = PF.Util.splicePath(path, 1, 2, piece, floor);
+            spliced.slice().should.eql([[0, 0, 2], [1, 0, 2], [1, 1, 2], [2, 1, 2], [2, 0, 2], [3, 0, 2]]);
+            spliced.moves.length.should.equal(5);
+            path.length.should.equal(4);
+        });
+
+        it('should shift the costs after the stretch', function () {
+            var piece = [[1, 0, 2], [1, 1, 2], [2, 1, 2], [2, 0, 2]],
+                spliced = PF.Util.splicePath(path, 1, 2, piece, floor);
+            spliced.costs.should.eql([0, 1, 2, 3, 4, 5]);
+            spliced.costs.should.eql(PF.Util.pathCosts(spliced, floor));
+        });
+
+        it('should need a grid for the costs of a piece without them', function () {
+            var piece = [[1, 0, 2], [1, 1, 2], [2, 1, 2], [2, 0, 2]];
+            (function () {
+                PF.Util.splicePath(path, 1, 2, piece);
+            }).should.throw(/grid/);
+            piece.costs = PF.Util.pathCosts(piece, floor);
+            PF.Util.splicePath(path, 1, 2, piece).costs.should.eql([0, 1, 2, 3, 4, 5]);
+        });
+    });
+
+    describe('repairPath', function () {
+        var voxels, floor, finder, path;
+
+        beforeEach(function () {
+            // a 10x10 stone floor at z = 1, two blocks thick
+            voxels = new Voxels().fill(0, 0, 0, 9, 9, 1, 1);
+            floor = new PF.Grid(voxels);
+            finder = new PF.AStarFinder();
+            path = finder.findPath(0, 0, 2, 8, 0, 2, floor);
+            path.costs = PF.Util.pathCosts(path, floor);
+        });
+
+        it('should leave a path that can still be walked', function () {
+            PF.Util.repairPath(floor, path, finder).should.equal(path);
+        });
+
+        it('should leave the waypoints of a path that can still be walked', function () {
+            var theta = new PF.ThetaStarFinder(),
+                waypoints = theta.findPath(0, 0, 2, 8, 5, 2, floor).waypoints;
+            waypoints.length.should.equal(2);
+            PF.Util.repairPath(floor, waypoints, theta).should.equal(waypoints);
+        });
+
+        it('should find again only the stretch that is broken', function () {
+            var repaired;
+            voxels.fill(4, 0, 2, 4, 0, 3, 1);
+            repaired = PF.Util.repairPath(floor, path, finder);
+            (PF.Util.validatePath(floor, repaired, finder) === null).should.be.true;
+            repaired.slice(0, 4).should.eql(path.slice(0, 4));
+            repaired.slice(-4).should.eql(path.slice(-4));
+            repaired.length.should.equal(11);
+            repaired.costs.should.eql(PF.Util.pathCosts(repaired, floor, finder.agent));
+            repaired.moves.length.should.equal(10);
+        });
+
+        it('should head for the end when the path cannot be rejoined after the break', function () {
+            var repaired;
+            // a wall at x = 4 and around [5, 0, 2], cutting the path off
+            // between x = 3 and x = 7
+            voxels.fill(4, 0, 2, 4, 1, 3, 1)
+                .fill(5, 1, 2, 6, 1, 3, 1)
+                .fill(6, 0, 2, 6, 0, 3, 1);
+            repaired = PF.Util.repairPath(floor, path, finder);
+            (PF.Util.validatePath(floor, repaired, finder) === null).should.be.true;
+            repaired.should.not.includeEql([5, 0, 2]);
+            repaired[repaired.length - 1].should.eql([8, 0, 2]);
+        });
+
+        it('should give up when the end cannot be reached', function () {
+            voxels.fill(7, 0, 2, 7, 1, 3, 1).fill(8, 1, 2, 9, 1, 3, 1).fill(4, 0, 2, 4, 0, 2, 1);
+            (PF.Util.repairPath(floor, path, finder) === null).should.be.true;
+        });
+    });
+
+    describe('describePath', function () {
+        it('should describe each step of the path', function () {
+            var agent = new PF.Agent({costs: {2: 3}}),
+                described;
+            path.status = PF.Status.FOUND;
+            path.expanded = 12;
+            described = PF.Util.describePath(path, grid, agent);
+            described.steps.length.should.equal(6);
+            described.steps[0].should.eql({x: 0, y: 0, z: 2, move: null, diagonal: false, cost: 0});
+            described.steps[2].move.should.equal(PF.Move.SWIM);
+            described.steps[2].diagonal.should.be.true;
+            described.steps[2].cost.should.equal(4 * Math.SQRT2);
+            described.steps[5].move.should.equal(PF.Move.CLIMB);
+            described.cost.should.equal(4 * Math.SQRT2 + 3);
+            described.expanded.should.equal(12);
+            described.status.should.equal(PF.Status.FOUND);
+        });
+    });
+
 });
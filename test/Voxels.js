@@ -0,0 +1,38 @@
+/**
+ * A minimal stand-in for a voxeljs instance, backed by a sparse map.
+ * Mirrors `voxelAtPosition(pos, [val])` which reads, or writes when a
+ * value is given.
+ */
+function Voxels() {
+    this.data = {};
+}
+
+Voxels.prototype.voxelAtPosition = function(pos, val) {
+    var key = pos[0] + '|' + pos[1] + '|' + pos[2];
+    if (val === undefined) {
+        return this.data[key] || 0;
+    }
+    if (val) {
+        this.data[key] = val;
+    } else {
+        delete this.data[key];
+    }
+    return val;
+};
+
+/**
+ * Fill the box spanned by the two corners (inclusive) with a voxel id.
+ */
+Voxels.prototype.fill = function(x0, y0, z0, x1, y1, z1, val) {
+    var x, y, z;
+    for (z = z0; z <= z1; ++z) {
+        for (y = y0; y <= y1; ++y) {
+            for (x = x0; x <= x1; ++x) {
+                this.voxelAtPosition([x, y, z], val);
+            }
+        }
+    }
+    return this;
+};
+
+module.exports = Voxels;